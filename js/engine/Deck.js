@@ -1,23 +1,36 @@
 import { Card } from './Card.js';
 
+const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+
 export class Deck {
   constructor() {
     this.cards = [];
   }
 
   createStandard52() {
-    const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
+    return this.createDecks(1);
+  }
+
+  /**
+   * Add `count` decks' worth of cards, 52 per deck. With fewer suits each
+   * one is repeated to make up the number (one- and two-suit Spider).
+   * Cards come suit by suit in the order given, ace to king.
+   */
+  createDecks(count, suits = SUITS) {
+    const perSuit = count * SUITS.length / suits.length;
     for (const suit of suits) {
-      for (let rank = 1; rank <= 13; rank++) {
-        this.cards.push(new Card(suit, rank));
+      for (let d = 0; d < perSuit; d++) {
+        for (let rank = 1; rank <= 13; rank++) {
+          this.cards.push(new Card(suit, rank));
+        }
       }
     }
     return this;
   }
 
-  shuffle() {
+  shuffle(random = Math.random) {
     for (let i = this.cards.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
     }
     return this;
@@ -1,10 +1,28 @@
+import { History } from './History.js';
+
 export class GameState {
   constructor() {
     this.piles = {};
-    this.undoStack = [];
+    this.history = new History(null);
     this.moveCount = 0;
     this.startTime = null;
     this.won = false;
+    this.dealNumber = null;
+    this.score = 0;
+    // Times the waste has been turned back into the stock
+    this.redeals = 0;
+    // Cards played in a row without drawing from the stock (TriPeaks, Golf)
+    this.streak = 0;
+    // Times the player stepped back (counted by the controller)
+    this.undos = 0;
+    // Everything that happened since the deal, in order, for replays:
+    // { t: ms since start, type: command type or 'undo'/'redo', ops };
+    // undo and redo entries also name the command type they affected.
+    // null when the start of the game is unknown (saves from older versions).
+    this.log = [];
+    // Solver verdict when dealt with "winnable deals only":
+    // true = proven winnable, false = budget ran out, null = not checked
+    this.verified = null;
   }
 
   addPile(pile) {
@@ -41,27 +59,214 @@ export class GameState {
     );
   }
 
-  pushUndo() {
-    this.undoStack.push({
-      piles: this.snapshot(),
-      moveCount: this.moveCount
-    });
+  /**
+   * Start a fresh history rooted at the current position.
+   */
+  resetHistory() {
+    this.history = new History(null);
+    this._command = null;
+    this.log = [];
+  }
+
+  /**
+   * Begin recording a command. Until endCommand(), every change made through
+   * moveCards() and flipTop() is recorded so it can be undone and redone as
+   * an operation instead of restoring a copy of the whole board.
+   */
+  beginCommand(type) {
+    this._command = { type, ops: [] };
+  }
+
+  /**
+   * Finish the command and add it to the history. Commands that changed
+   * nothing (e.g. clicking an empty stock) are dropped and return null.
+   */
+  endCommand() {
+    const command = this._command;
+    this._command = null;
+    if (!command || command.ops.length === 0) return null;
+    this.moveCount++;
+    this.history.push(command);
+    this._log(command.type, command.ops);
+    return command;
+  }
+
+  _log(type, ops, command) {
+    if (!this.log) return;
+    const t = this.startTime ? Date.now() - this.startTime : 0;
+    const entry = { t, type, ops };
+    if (command) entry.command = command;
+    this.log.push(entry);
+  }
+
+  /**
+   * Move the top `count` cards of one pile onto another, keeping their order.
+   */
+  moveCards(fromPile, toPile, count) {
+    const cards = fromPile.takeFrom(fromPile.cards.length - count);
+    toPile.pushMany(cards);
+    this._record({ op: 'move', from: fromPile.id, to: toPile.id, count });
+    return cards;
+  }
+
+  /**
+   * Turn the top card of a pile over.
+   */
+  flipTop(pile) {
+    const card = pile.topCard();
+    card.faceUp = !card.faceUp;
+    this._record({ op: 'flip', pile: pile.id });
+  }
+
+  /**
+   * Change the score. Recorded like a card move so undo takes it back.
+   */
+  addScore(delta) {
+    if (delta === 0) return;
+    this.score += delta;
+    this._record({ op: 'score', delta });
+  }
+
+  /**
+   * Count one recycle of the waste, undoably.
+   */
+  countRedeal() {
+    this.redeals++;
+    this._record({ op: 'redeal' });
+  }
+
+  /**
+   * Set the length of the current streak, undoably.
+   */
+  setStreak(length) {
+    const delta = length - this.streak;
+    if (delta === 0) return;
+    this.streak = length;
+    this._record({ op: 'streak', delta });
+  }
+
+  /**
+   * Run `fn` and then revert every change it made through moveCards() and
+   * flipTop(). Lets rules look ahead — e.g. click through the whole stock —
+   * without touching the history. Probes may be nested.
+   */
+  probe(fn) {
+    const outer = this._command;
+    const probe = { type: 'probe', ops: [] };
+    this._command = probe;
+    try {
+      return fn();
+    } finally {
+      this.applyOps(probe.ops, true);
+      this._command = outer;
+    }
+  }
+
+  /**
+   * Snapshots of every position on the way from the start of the game to
+   * the current one. Steps back through the history and forward again.
+   */
+  visitedPositions() {
+    const seen = new Set([this.snapshot()]);
+    const path = [];
+    for (let node = this.history.current; node.parent; node = node.parent) {
+      this.applyOps(node.data.ops, true);
+      path.push(node);
+      seen.add(this.snapshot());
+    }
+    for (let i = path.length - 1; i >= 0; i--) this.applyOps(path[i].data.ops, false);
+    return seen;
+  }
+
+  _record(op) {
+    if (this._command) this._command.ops.push(op);
+  }
+
+  /**
+   * Apply recorded operations, or take them back in reverse order.
+   */
+  applyOps(ops, reverse) {
+    if (reverse) {
+      for (let i = ops.length - 1; i >= 0; i--) this._applyOp(ops[i], true);
+    } else {
+      for (const op of ops) this._applyOp(op, false);
+    }
+  }
+
+  _applyOp(op, reverse) {
+    if (op.op === 'move') {
+      const from = this.getPile(reverse ? op.to : op.from);
+      const to = this.getPile(reverse ? op.from : op.to);
+      to.pushMany(from.takeFrom(from.cards.length - op.count));
+    } else if (op.op === 'flip') {
+      const card = this.getPile(op.pile).topCard();
+      card.faceUp = !card.faceUp;
+    } else if (op.op === 'score') {
+      this.score += reverse ? -op.delta : op.delta;
+    } else if (op.op === 'redeal') {
+      this.redeals += reverse ? -1 : 1;
+    } else if (op.op === 'streak') {
+      this.streak += reverse ? -op.delta : op.delta;
+    }
   }
 
   canUndo() {
-    return this.undoStack.length > 0;
+    return this.history.canUndo();
+  }
+
+  canRedo() {
+    return this.history.canRedo();
+  }
+
+  /**
+   * Step back one command by applying its operations in reverse.
+   * Returns the undone command, or null.
+   */
+  undo() {
+    const node = this.history.undo();
+    if (!node) return null;
+    this.applyOps(node.data.ops, true);
+    this.moveCount--;
+    this._log('undo', node.data.ops, node.data.type);
+    return node.data;
+  }
+
+  /**
+   * Replay the next command on the active branch. Returns it, or null.
+   */
+  redo() {
+    const node = this.history.redo();
+    if (!node) return null;
+    this.applyOps(node.data.ops, false);
+    this.moveCount++;
+    this._log('redo', node.data.ops, node.data.type);
+    return node.data;
   }
 
-  popUndo() {
-    return this.undoStack.pop();
+  /**
+   * Step backwards or forwards along the active line to the given index.
+   * Returns false if the index is out of range.
+   */
+  jumpTo(index) {
+    const last = this.history.line().length - 1;
+    if (index < 0 || index > last) return false;
+    while (this.history.position() > index) this.undo();
+    while (this.history.position() < index) this.redo();
+    return true;
   }
 
   serialize() {
     return JSON.stringify({
       piles: this.snapshot(),
       moveCount: this.moveCount,
+      score: this.score,
+      redeals: this.redeals,
+      streak: this.streak,
+      undos: this.undos,
       startTime: this.startTime,
-      won: this.won
+      won: this.won,
+      dealNumber: this.dealNumber,
+      verified: this.verified
     });
   }
 }
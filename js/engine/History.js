@@ -0,0 +1,84 @@
+/**
+ * Game history as a tree of positions. Undoing and then playing a different
+ * move starts a new branch; the undone moves stay reachable as a sibling
+ * branch instead of being thrown away.
+ *
+ * Each node carries an opaque `data` payload supplied by GameState.
+ * `activeChild` remembers which branch redo should follow.
+ */
+export class History {
+  constructor(rootData) {
+    this.root = this._createNode(null, rootData);
+    this.current = this.root;
+  }
+
+  _createNode(parent, data) {
+    return { parent, children: [], activeChild: null, data };
+  }
+
+  push(data) {
+    const node = this._createNode(this.current, data);
+    this.current.children.push(node);
+    this.current.activeChild = node;
+    this.current = node;
+    return node;
+  }
+
+  canUndo() {
+    return this.current.parent !== null;
+  }
+
+  canRedo() {
+    return this.current.activeChild !== null;
+  }
+
+  undo() {
+    if (!this.canUndo()) return null;
+    const node = this.current;
+    node.parent.activeChild = node;
+    this.current = node.parent;
+    return node;
+  }
+
+  redo() {
+    if (!this.canRedo()) return null;
+    this.current = this.current.activeChild;
+    return this.current;
+  }
+
+  /**
+   * The line currently shown in the scrubber: root to the current node,
+   * continued through active children to the end of the branch.
+   */
+  line() {
+    const nodes = [];
+    for (let n = this.current; n; n = n.parent) nodes.unshift(n);
+    for (let n = this.current.activeChild; n; n = n.activeChild) nodes.push(n);
+    return nodes;
+  }
+
+  position() {
+    let depth = 0;
+    for (let n = this.current; n.parent; n = n.parent) depth++;
+    return depth;
+  }
+
+  branchCount() {
+    return this.current.children.length;
+  }
+
+  branchIndex() {
+    return this.current.children.indexOf(this.current.activeChild);
+  }
+
+  /**
+   * Switch the branch redo follows from the current node, cycling through
+   * the alternatives. Does not change the position itself.
+   */
+  nextBranch() {
+    const children = this.current.children;
+    if (children.length < 2) return;
+    const i = children.indexOf(this.current.activeChild);
+    this.current.activeChild = children[(i + 1) % children.length];
+  }
+}
@@ -0,0 +1,21 @@
+export const MAX_DEAL_NUMBER = 1000000;
+
+/**
+ * Seeded PRNG (mulberry32). Returns a function that behaves like
+ * Math.random(): each call yields a float in [0, 1).
+ * The same seed always produces the same sequence.
+ */
+export function createRandom(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (s + 0x6D2B79F5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomDealNumber() {
+  return 1 + Math.floor(Math.random() * MAX_DEAL_NUMBER);
+}
@@ -0,0 +1,55 @@
+/**
+ * Steps through a recorded game log (GameState.log) on a freshly dealt
+ * copy of the game, forwards and backwards.
+ */
+export class Replay {
+  constructor(game, log) {
+    this.game = game;
+    this.log = log;
+    // Number of log entries applied so far
+    this.position = 0;
+  }
+
+  get length() {
+    return this.log.length;
+  }
+
+  canStepForward() {
+    return this.position < this.log.length;
+  }
+
+  canStepBack() {
+    return this.position > 0;
+  }
+
+  /**
+   * Apply the next entry. Returns it, or null at the end.
+   */
+  stepForward() {
+    if (!this.canStepForward()) return null;
+    const entry = this.log[this.position++];
+    const undo = entry.type === 'undo';
+    this.game.state.applyOps(entry.ops, undo);
+    this.game.state.moveCount += undo ? -1 : 1;
+    return entry;
+  }
+
+  /**
+   * Take back the last applied entry. Returns it, or null at the start.
+   */
+  stepBack() {
+    if (!this.canStepBack()) return null;
+    const entry = this.log[--this.position];
+    const undo = entry.type === 'undo';
+    this.game.state.applyOps(entry.ops, !undo);
+    this.game.state.moveCount += undo ? 1 : -1;
+    return entry;
+  }
+
+  /**
+   * Game clock at the current position, in ms.
+   */
+  elapsed() {
+    return this.position > 0 ? this.log[this.position - 1].t : 0;
+  }
+}
@@ -0,0 +1,114 @@
+// Layout of the saved game. Bump it whenever saved fields change and add a
+// migration from the previous schema to MIGRATIONS.
+export const SAVE_SCHEMA = 2;
+
+const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+
+/**
+ * A save that cannot be restored. The message tells the player why.
+ */
+export class SaveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SaveError';
+  }
+}
+
+// MIGRATIONS[n] upgrades a save from schema n to n + 1
+const MIGRATIONS = {
+  // 1: saves of v34 and earlier, marked only with the app version. They
+  // hold just the piles, move count, elapsed time and won flag; every
+  // field added since gets its default.
+  1: (data) => ({
+    ...data,
+    dealNumber: null,
+    verified: null,
+    options: {},
+    score: 0,
+    redeals: 0,
+    streak: 0,
+    undos: 0,
+    daily: null,
+    // Without a log from the deal onwards the game cannot be replayed
+    log: null
+  })
+};
+
+/**
+ * Upgrade a save to the current schema. Throws SaveError if that is not
+ * possible.
+ */
+export function migrateSave(data) {
+  let schema = data.schema ?? 1;
+  if (!Number.isInteger(schema) || schema < 1) {
+    throw new SaveError('Tallennuksen versiotieto on virheellinen.');
+  }
+  if (schema > SAVE_SCHEMA) {
+    throw new SaveError('Peli on tallennettu sovelluksen uudemmalla versiolla. Päivitä sovellus jatkaaksesi sitä.');
+  }
+  while (schema < SAVE_SCHEMA) {
+    data = MIGRATIONS[schema](data);
+    schema++;
+  }
+  return { ...data, schema };
+}
+
+// A variant's own slot, its daily challenge and the deals chosen by
+// number or imported each keep a game of their own
+const SLOT_SUFFIXES = ['', '-daily', '-deal'];
+
+/**
+ * Whether a save slot (the key without its pasianssi-save- prefix) belongs
+ * to the variant.
+ */
+export function isSlotOf(slot, gameId) {
+  return SLOT_SUFFIXES.some(suffix => slot === gameId + suffix);
+}
+
+/**
+ * Check the fields of a migrated save before anything is built from it.
+ */
+export function validateSave(data, gameIds) {
+  if (!gameIds.includes(data.gameId)) {
+    throw new SaveError(`Tallennettua peliä "${data.gameId}" ei enää ole.`);
+  }
+
+  let piles;
+  try {
+    piles = JSON.parse(data.piles);
+  } catch (e) {
+    throw new SaveError('Tallennuksen kortit ovat vioittuneet.');
+  }
+  const valid = piles && typeof piles === 'object' && Object.values(piles).every(pile =>
+    pile && Array.isArray(pile.cards) && pile.cards.every(c =>
+      SUITS.includes(c.suit) && Number.isInteger(c.rank) && c.rank >= 1 && c.rank <= 13 &&
+      typeof c.faceUp === 'boolean'));
+  if (!valid) throw new SaveError('Tallennuksen kortit ovat vioittuneet.');
+
+  if (!Number.isInteger(data.moveCount) || data.moveCount < 0) {
+    throw new SaveError('Tallennuksen siirtolaskuri on virheellinen.');
+  }
+}
+
+/**
+ * Check a restored game against a fresh deal of the same variant: the saved
+ * piles are the variant's piles, and it has exactly the same cards, none
+ * lost or duplicated.
+ */
+export function validateRestoredGame(game, reference, savedPileIds) {
+  const ids = [...savedPileIds].sort().join();
+  if (ids !== Object.keys(reference.state.piles).sort().join()) {
+    throw new SaveError('Tallennetun pelin pinot eivät vastaa peliä.');
+  }
+
+  const counts = new Map();
+  for (const pile of reference.state.getAllPiles()) {
+    for (const card of pile.cards) counts.set(card.id, (counts.get(card.id) || 0) + 1);
+  }
+  for (const pile of game.state.getAllPiles()) {
+    for (const card of pile.cards) counts.set(card.id, (counts.get(card.id) || 0) - 1);
+  }
+  if ([...counts.values()].some(n => n !== 0)) {
+    throw new SaveError('Tallennetusta pelistä puuttuu kortteja tai siinä on ylimääräisiä.');
+  }
+}
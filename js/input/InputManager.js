@@ -49,12 +49,22 @@ export class InputManager {
   }
 
   _onPointerDown(x, y) {
+    if (this.gc.replayViewer.active) return;
     const hit = this.gc.renderer.hitTest(x, y);
     if (!hit) return;
 
     const pile = this.gc.game.state.getPile(hit.pileId);
     if (!pile) return;
 
+    // Pair and chain games are played by tapping cards, never by dragging
+    const game = this.gc.game;
+    if (game.removesPairs || game.playsToWaste) {
+      if (pile.type === 'stock') this.gc.onStockClick();
+      else if (game.removesPairs) this.gc.selectForPair(pile);
+      else this.gc.playToWaste(pile);
+      return;
+    }
+
     // Double-tap detection
     const now = Date.now();
     if (now - this.lastTapTime < 350 && hit.cardIndex >= 0) {
@@ -75,8 +85,8 @@ export class InputManager {
     const card = pile.cards[hit.cardIndex];
     if (!card || !card.faceUp) return;
 
-    // For waste, foundation, and freecell, only the top card can be dragged
-    if ((pile.type === 'waste' || pile.type === 'foundation' || pile.type === 'freecell') &&
+    // For waste, foundation, freecell and reserve, only the top card can be dragged
+    if ((pile.type === 'waste' || pile.type === 'foundation' || pile.type === 'freecell' || pile.type === 'reserve') &&
         hit.cardIndex !== pile.cards.length - 1) {
       return;
     }
@@ -3,13 +3,39 @@ import { CardRenderer } from './render/CardRenderer.js';
 import { BoardRenderer } from './render/BoardRenderer.js';
 import { InputManager } from './input/InputManager.js';
 import { HUD } from './ui/HUD.js';
+import { SolverPanel } from './ui/SolverPanel.js';
+import { SolverClient } from './solver/SolverClient.js';
+import { Statistics } from './stats/Statistics.js';
+import { Bankroll } from './stats/Bankroll.js';
+import { StatsPanel } from './ui/StatsPanel.js';
+import { DailyChallenge, dailyDealNumber, dateKey } from './stats/DailyChallenge.js';
+import { DailyPanel } from './ui/DailyPanel.js';
+import { Replays } from './stats/Replays.js';
+import { ReplayViewer } from './ui/ReplayViewer.js';
+import { BackupPanel } from './ui/BackupPanel.js';
+import { formatTime } from './ui/format.js';
+import { Storage } from './stats/Storage.js';
+import { TabLock } from './stats/TabLock.js';
+import { exportGame, importGame, NotationError } from './rules/Notation.js';
+import { SAVE_SCHEMA, SaveError, isSlotOf, migrateSave, validateSave, validateRestoredGame } from './engine/SaveSchema.js';
 import { createGame, getGameList } from './rules/GameRegistry.js';
+import { rankHints } from './rules/Hint.js';
 import { AnimationManager } from './render/AnimationManager.js';
+import { MAX_DEAL_NUMBER } from './engine/Random.js';
 
-const APP_VERSION = 'v34';
+const APP_VERSION = 'v35';
+
+// Time allowed for finding a provably winnable deal before giving up
+const WINNABLE_BUDGET_MS = 3000;
+const WINNABLE_MAX_NODES = 20000;
+
+// Pause between automatic moves so each animation can be followed
+const AUTO_STEP_MS = 150;
 
 class GameController {
-  constructor() {
+  constructor(storage, tabLock) {
+    this.storage = storage;
+    this.tabLock = tabLock;
     this.canvas = document.getElementById('game-canvas');
     this.ctx = this.canvas.getContext('2d');
     this.cardRenderer = new CardRenderer();
@@ -17,10 +43,35 @@ class GameController {
     this.animManager = new AnimationManager(this.cardRenderer);
     this.input = null;
     this.hud = null;
+    this.solver = null;
+    this.dealSolver = new SolverClient();
+    this.stats = new Statistics(storage);
+    this.bankroll = new Bankroll(storage);
+    this.daily = new DailyChallenge(storage);
+    this.replays = new Replays(storage);
+    this._deadEndNode = null;
     this.game = null;
     this.currentGameId = 'klondike';
+    // Save slot of the game on screen: the variant id, with -daily or -deal
+    // for its daily challenge and chosen deals
+    this.currentSlot = 'klondike';
+    // Game in progress that New replaced, with the time it was set aside.
+    // Undo brings it back until the new deal is played on.
+    this._replaced = null;
     this.renderRequested = false;
-    this.rightHanded = localStorage.getItem('pasianssi-hand') !== 'left';
+    this._hints = null;
+    this._hintIndex = -1;
+    this._hintNode = null;
+    // Position in which the first card of a pair was picked
+    this._selectionNode = null;
+    this.rightHanded = storage.get('pasianssi-hand') !== 'left';
+    this.winnableOnly = storage.get('pasianssi-winnable') === 'on';
+    this.autoPlay = storage.get('pasianssi-autoplay') === 'on';
+    this.vegasBankroll = storage.get('pasianssi-bankroll') === 'on';
+    this.gameOptions = this._loadGameOptions();
+    this._autoRunning = false;
+    // When the game on screen was left for the menu; its clock is stopped
+    this._pausedAt = null;
     this.dpr = Math.min(window.devicePixelRatio || 1, 1.5);
 
     this.menuScreen = document.getElementById('menu-screen');
@@ -30,7 +81,9 @@ class GameController {
   async init() {
     await this.cardRenderer.init();
     this.input = new InputManager(this.canvas, this);
+    this.solver = new SolverPanel(this);
     this.hud = new HUD(this);
+    this.storage.onWriteError = (message) => this.hud.showToast(message, 6000);
 
     // Version in footer
     const versionEl = document.getElementById('version');
@@ -38,14 +91,14 @@ class GameController {
 
     // Handedness buttons
     this._initHandButtons();
+    this._initToggleSetting('winnable', 'winnableOnly');
+    this._initToggleSetting('autoplay', 'autoPlay');
+    this._initToggleSetting('bankroll', 'vegasBankroll');
 
     // Menu button
     const btnMenu = document.getElementById('btn-menu');
     if (btnMenu) {
-      btnMenu.addEventListener('click', () => {
-        if (this._hasActiveGame() && !confirm('Vaihdetaanko peliä? Nykyinen peli hävitetään.')) return;
-        this.showMenu();
-      });
+      btnMenu.addEventListener('click', () => this.showMenu());
     }
 
     // Help button + modal
@@ -73,25 +126,26 @@ class GameController {
       });
     }
 
+    this._initKeyboard();
+    this._initGameOverDialog();
+    this._initTabLock();
+
     window.addEventListener('resize', () => this._onResize());
     window.addEventListener('orientationchange', () => {
       setTimeout(() => this._onResize(), 100);
     });
     this._buildMenu();
 
-    // Try to restore saved game
-    const saved = this._loadSave();
-    if (saved) {
-      try {
-        await this.startGame(saved.gameId, saved);
-      } catch (e) {
-        this._clearSave();
-        await this.startGame('klondike');
-      }
-    } else {
-      await this.startGame('klondike');
+    if (!this.tabLock.owner) {
+      this._showOpenElsewhere();
+      return;
     }
 
+    // Continue the variant played last
+    this._migrateLegacySave();
+    const lastGameId = this.storage.get('pasianssi-last-game');
+    await this.startGame(getGameList().some(g => g.id === lastGameId) ? lastGameId : 'klondike');
+
     // Safety re-render: some tablets need extra time for image decode
     setTimeout(() => {
       this.renderer.markDirty();
@@ -103,13 +157,286 @@ class GameController {
     const container = document.getElementById('menu-games');
     const games = getGameList();
 
+    // Status line of each variant's saved game, filled in by _updateMenuSlots()
+    this._menuSlotEls = new Map();
     for (const game of games) {
       const btn = document.createElement('button');
       btn.className = 'menu-game-btn';
-      btn.innerHTML = `<div class="game-name">${game.name}</div><div class="game-desc">${game.description}</div>`;
+      btn.innerHTML = `<div class="game-name">${game.name}</div><div class="game-desc">${game.description}</div><div class="game-continue"></div>`;
       btn.addEventListener('click', () => this.startGame(game.id));
       container.appendChild(btn);
+      this._menuSlotEls.set(game.id, btn.querySelector('.game-continue'));
     }
+
+    const dailyBtn = document.createElement('button');
+    dailyBtn.className = 'menu-game-btn menu-extra-btn';
+    dailyBtn.innerHTML = `<div class="game-name">Päivän haaste</div><div class="game-desc">Sama jako kaikille tänään: Klondike, Spider ja FreeCell</div>`;
+    dailyBtn.addEventListener('click', () => this.dailyPanel.open());
+    container.appendChild(dailyBtn);
+    this.dailyPanel = new DailyPanel(this, games);
+
+    const dealBtn = document.createElement('button');
+    dealBtn.className = 'menu-game-btn menu-extra-btn';
+    dealBtn.innerHTML = `<div class="game-name">Valitse jako</div><div class="game-desc">Pelaa tietty jako numeron perusteella, esim. FreeCell #11982</div>`;
+    dealBtn.addEventListener('click', () => this._showDealDialog());
+    container.appendChild(dealBtn);
+
+    const notationBtn = document.createElement('button');
+    notationBtn.className = 'menu-game-btn menu-extra-btn';
+    notationBtn.innerHTML = `<div class="game-name">Vie tai tuo peli</div><div class="game-desc">Jako ja siirrot tekstinä jaettavaksi</div>`;
+    notationBtn.addEventListener('click', () => this._showNotationDialog());
+    container.appendChild(notationBtn);
+    this._initNotationDialog();
+
+    const replaysBtn = document.createElement('button');
+    replaysBtn.className = 'menu-game-btn menu-extra-btn';
+    replaysBtn.innerHTML = `<div class="game-name">Uusinnat</div><div class="game-desc">Katso päättyneet pelit siirto siirrolta</div>`;
+    replaysBtn.addEventListener('click', () => this.replayViewer.openList());
+    container.appendChild(replaysBtn);
+    this.replayViewer = new ReplayViewer(this, games);
+
+    const statsBtn = document.createElement('button');
+    statsBtn.className = 'menu-game-btn menu-extra-btn';
+    statsBtn.innerHTML = `<div class="game-name">Tilastot</div><div class="game-desc">Voitot, voittoputket, ennätykset ja viimeisimmät pelit</div>`;
+    statsBtn.addEventListener('click', () => this.statsPanel.open());
+    container.appendChild(statsBtn);
+    this.statsPanel = new StatsPanel(this, games);
+    this.backupPanel = new BackupPanel(this, games);
+
+    this._initDealDialog(games);
+    this._buildOptionSettings(games);
+  }
+
+  /**
+   * One menu setting per variant option registered in GameRegistry.
+   * Variants sharing an option (e.g. both Klondikes) share the setting.
+   */
+  _buildOptionSettings(games) {
+    const container = document.getElementById('menu-settings');
+    const seen = new Set();
+
+    for (const game of games) {
+      for (const option of game.options) {
+        if (seen.has(option.id)) continue;
+        seen.add(option.id);
+
+        const row = document.createElement('div');
+        row.className = 'menu-setting';
+        const label = document.createElement('span');
+        label.textContent = `${option.label}:`;
+        row.appendChild(label);
+
+        const current = this.gameOptions[option.id] ?? option.choices[0].value;
+        const buttons = option.choices.map(choice => {
+          const btn = document.createElement('button');
+          btn.className = 'hand-btn';
+          btn.textContent = choice.label;
+          btn.classList.toggle('active', choice.value === current);
+          btn.addEventListener('click', () => {
+            this.gameOptions[option.id] = choice.value;
+            this._saveGameOptions();
+            buttons.forEach(b => b.classList.toggle('active', b === btn));
+          });
+          row.appendChild(btn);
+          return btn;
+        });
+
+        container.appendChild(row);
+      }
+    }
+  }
+
+  _loadGameOptions() {
+    const options = this.storage.get('pasianssi-options');
+    return options && typeof options === 'object' ? options : {};
+  }
+
+  _saveGameOptions() {
+    this.storage.set('pasianssi-options', this.gameOptions);
+  }
+
+  _initDealDialog(games) {
+    const modal = document.getElementById('deal-modal');
+    const select = document.getElementById('deal-game');
+    const input = document.getElementById('deal-input');
+    const error = document.getElementById('deal-error');
+
+    for (const game of games) {
+      const option = document.createElement('option');
+      option.value = game.id;
+      option.textContent = game.name;
+      select.appendChild(option);
+    }
+    input.max = String(MAX_DEAL_NUMBER);
+
+    const start = () => {
+      const dealNumber = Number(input.value);
+      if (!Number.isInteger(dealNumber) || dealNumber < 1 || dealNumber > MAX_DEAL_NUMBER) {
+        error.textContent = `Anna kokonaisluku väliltä 1–${MAX_DEAL_NUMBER.toLocaleString('fi-FI')}.`;
+        return;
+      }
+      modal.style.display = 'none';
+      this.startGame(select.value, dealNumber);
+    };
+
+    document.getElementById('deal-start').addEventListener('click', start);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') start();
+    });
+    document.getElementById('deal-close').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) modal.style.display = 'none';
+    });
+  }
+
+  _initNotationDialog() {
+    const modal = document.getElementById('notation-modal');
+    const text = document.getElementById('notation-text');
+    const error = document.getElementById('notation-error');
+    const hide = () => { modal.style.display = 'none'; };
+
+    document.getElementById('notation-copy').addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(text.value);
+        error.textContent = '';
+      } catch (e) {
+        // Clipboard blocked: leave the text selected for manual copying
+        text.select();
+      }
+    });
+    document.getElementById('notation-import').addEventListener('click', () => {
+      let game;
+      try {
+        game = importGame(text.value);
+      } catch (e) {
+        error.textContent = e instanceof NotationError ? e.message : 'Tekstiä ei voitu lukea.';
+        return;
+      }
+      hide();
+      this.startImportedGame(game);
+    });
+    document.getElementById('notation-close').addEventListener('click', hide);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) hide();
+    });
+  }
+
+  /**
+   * Open the notation dialog with the current game filled in, if it can
+   * be exported.
+   */
+  _showNotationDialog() {
+    const text = document.getElementById('notation-text');
+    const error = document.getElementById('notation-error');
+    text.value = '';
+    error.textContent = '';
+    if (this.game) {
+      try {
+        text.value = exportGame(this.game);
+      } catch (e) {
+        if (!(e instanceof NotationError)) throw e;
+        error.textContent = e.message;
+      }
+    }
+    document.getElementById('notation-modal').style.display = 'flex';
+  }
+
+  /**
+   * Continue a game built from notation, with its moves as undo history.
+   * It goes to the variant's slot for chosen deals. Its clock keeps running
+   * from the import, which the log's times are counted from as well.
+   */
+  async startImportedGame(game) {
+    await this._showSlot(game.id, `${game.id}-deal`);
+    this._abandonSlot();
+    this.game = game;
+    game.slot = this.currentSlot;
+    this._clearSave();
+    this.renderer.markDirty();
+    await this._forceLayout();
+    this.hud.update();
+    this.requestRender();
+    if (game.state.won) {
+      this.hud.showToast('Peli on jo voitettu');
+    } else {
+      this.hud.startTimer();
+      this._saveGame();
+    }
+  }
+
+  _showDealDialog() {
+    const select = document.getElementById('deal-game');
+    const input = document.getElementById('deal-input');
+    select.value = this.currentGameId;
+    input.value = this.game && this.game.state.dealNumber != null ? this.game.state.dealNumber : '';
+    document.getElementById('deal-error').textContent = '';
+    document.getElementById('deal-modal').style.display = 'flex';
+    input.focus();
+  }
+
+  _initGameOverDialog() {
+    const modal = document.getElementById('gameover-modal');
+    const hide = () => { modal.style.display = 'none'; };
+
+    document.getElementById('gameover-undo').addEventListener('click', () => {
+      hide();
+      this.undo();
+    });
+    document.getElementById('gameover-restart').addEventListener('click', () => {
+      hide();
+      this.restartDeal();
+    });
+    document.getElementById('gameover-new').addEventListener('click', () => {
+      hide();
+      this.playNewDeal();
+    });
+    document.getElementById('gameover-close').addEventListener('click', hide);
+  }
+
+  _initTabLock() {
+    this.tabLock.onLost = (late) => this._onTabLost(late);
+    const btn = document.getElementById('tab-takeover');
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      await this.tabLock.takeOver();
+      // Start over from what the other tab saved
+      location.reload();
+    });
+  }
+
+  /**
+   * Another tab took the game over: leave it saved for that tab to
+   * continue, then stop writing. Too late to save if this tab was frozen
+   * when it happened; the other tab already carries on from its own data.
+   */
+  async _onTabLost(late) {
+    this.hud.stopTimer();
+    this.solver.stop();
+    if (!late && this.game && !this.game.state.won) this._saveGame();
+    await this.storage.flush();
+    this._showOpenElsewhere();
+  }
+
+  _showOpenElsewhere() {
+    this.storage.readOnly = true;
+    document.getElementById('tab-modal').style.display = 'flex';
+  }
+
+  _initKeyboard() {
+    document.addEventListener('keydown', (e) => {
+      if (!this.game || this.gameScreen.style.display === 'none' || this.replayViewer.active) return;
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        this.undo();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        this.redo();
+      }
+    });
   }
 
   _initHandButtons() {
@@ -126,7 +453,7 @@ class GameController {
     btnRight.addEventListener('click', () => {
       if (this.rightHanded) return;
       this.rightHanded = true;
-      localStorage.setItem('pasianssi-hand', 'right');
+      this.storage.set('pasianssi-hand', 'right');
       updateButtons();
       if (this.game) this._onResize();
     });
@@ -134,37 +461,242 @@ class GameController {
     btnLeft.addEventListener('click', () => {
       if (!this.rightHanded) return;
       this.rightHanded = false;
-      localStorage.setItem('pasianssi-hand', 'left');
+      this.storage.set('pasianssi-hand', 'left');
       updateButtons();
       if (this.game) this._onResize();
     });
   }
 
+  /**
+   * Wire an on/off button pair (#btn-<name>-on / -off) to a boolean
+   * property, stored as pasianssi-<name>.
+   */
+  _initToggleSetting(name, prop) {
+    const btnOn = document.getElementById(`btn-${name}-on`);
+    const btnOff = document.getElementById(`btn-${name}-off`);
+    if (!btnOn || !btnOff) return;
+
+    const updateButtons = () => {
+      btnOn.classList.toggle('active', this[prop]);
+      btnOff.classList.toggle('active', !this[prop]);
+    };
+    updateButtons();
+
+    btnOn.addEventListener('click', () => {
+      this[prop] = true;
+      this.storage.set(`pasianssi-${name}`, 'on');
+      updateButtons();
+    });
+
+    btnOff.addEventListener('click', () => {
+      this[prop] = false;
+      this.storage.set(`pasianssi-${name}`, 'off');
+      updateButtons();
+    });
+  }
+
   _hasActiveGame() {
     return this.game && this.game.state.moveCount > 0 && !this.game.state.won;
   }
 
+  /**
+   * Leave the game for the menu. The game stays in its slot
+   * with its clock stopped until it is continued.
+   */
   showMenu() {
     this.hud.stopTimer();
+    if (this.game && !this.game.state.won && this._pausedAt == null) {
+      this._pausedAt = Date.now();
+      this._saveGame();
+    }
+    this._updateMenuSlots();
     this.menuScreen.style.display = 'flex';
     this.gameScreen.style.display = 'none';
   }
 
-  async startGame(gameId, savedState) {
-    this.currentGameId = gameId;
+  _updateMenuSlots() {
+    for (const [gameId, el] of this._menuSlotEls) {
+      const slot = this._peekSave(gameId);
+      el.textContent = slot ? `Jatka: ${formatTime(slot.elapsed || 0)}, ${slot.moveCount} siirtoa` : '';
+      el.style.display = slot ? '' : 'none';
+    }
+  }
+
+  /**
+   * Open a variant: the game in its slot if there is one, else a new deal.
+   * A deal number always starts a new game in the slot for chosen deals,
+   * leaving the variant's own game alone.
+   */
+  async startGame(gameId, dealNumber, options) {
+    if (dealNumber != null) {
+      await this._showSlot(gameId, `${gameId}-deal`);
+      await this.newGame(dealNumber, null, options);
+      return;
+    }
+
+    await this._showSlot(gameId, gameId);
+    const { continued, problem } = await this._continueSlot();
+    if (continued) return;
+    await this.newGame(undefined, null, options);
+    this._reportSaveProblem(problem);
+  }
+
+  async _showSlot(gameId, slot) {
+    this._settleReplaced();
+    this._rememberGame(gameId);
+    this.currentSlot = slot;
     this.menuScreen.style.display = 'none';
     this.gameScreen.style.display = 'flex';
     // Wait one frame so the browser lays out game-screen before measuring
     await new Promise(r => requestAnimationFrame(r));
-    if (savedState) {
-      await this._restoreGame(savedState);
-    } else {
-      await this.newGame();
+  }
+
+  /**
+   * Continue the game in the current slot, on screen or saved, if there
+   * is one and accept() takes it. A save that cannot be restored is set
+   * aside and returned as the problem to report once a new game is dealt.
+   */
+  async _continueSlot(accept = () => true) {
+    const slot = this.currentSlot;
+    if (this.game && this.game.slot === slot && !this.game.state.won && accept(this.game)) {
+      await this._resumeGame();
+      return { continued: true };
+    }
+    try {
+      const saved = this._loadSave(slot);
+      if (saved && accept(saved)) {
+        await this._restoreGame(saved, slot);
+        return { continued: true };
+      }
+    } catch (e) {
+      this._setAsideSave(slot);
+      return { continued: false, problem: e };
+    }
+    return { continued: false };
+  }
+
+  _reportSaveProblem(problem) {
+    if (!problem) return;
+    const reason = problem instanceof SaveError ? problem.message : 'Tallennus on vioittunut.';
+    this.hud.showToast(`Keskeneräistä peliä ei voitu jatkaa. ${reason}`, 8000);
+  }
+
+  _rememberGame(gameId) {
+    this.currentGameId = gameId;
+    this.storage.set('pasianssi-last-game', gameId);
+  }
+
+  /**
+   * Continue the game on screen after a visit to the menu, keeping its
+   * undo history.
+   */
+  async _resumeGame() {
+    this._unpause();
+    this.renderer.markDirty();
+    await this._forceLayout();
+    this.hud.startTimer();
+    this.hud.update();
+    this.requestRender();
+  }
+
+  /**
+   * Restart the clock of a game left for the menu, leaving out the time
+   * spent away.
+   */
+  _unpause() {
+    if (this._pausedAt == null) return;
+    if (this.game) this.game.state.startTime += Date.now() - this._pausedAt;
+    this._pausedAt = null;
+  }
+
+  /**
+   * Today's daily challenge for a variant: a deal derived from the date,
+   * with default options so everyone plays the same game. It is played in
+   * a slot of its own, where today's game is continued if already started.
+   */
+  async startDailyChallenge(gameId) {
+    const date = dateKey();
+    await this._showSlot(gameId, `${gameId}-daily`);
+    const { continued, problem } = await this._continueSlot(game => game.daily === date);
+    if (continued) return;
+    await this.newGame(dailyDealNumber(date, gameId), null, {});
+    this.game.daily = date;
+    this._saveGame();
+    this._reportSaveProblem(problem);
+  }
+
+  /**
+   * A new random deal of the variant on screen, in the variant's own slot.
+   * Coming from a daily challenge or a chosen deal, a game in progress
+   * there is only replaced after asking. The daily challenge stays saved
+   * to be continued; a chosen deal is given up. A game in progress in the
+   * variant's own slot is set aside for Undo instead (see _settleReplaced()).
+   */
+  async playNewDeal() {
+    const gameId = this.currentGameId;
+    if (this.game && this.currentSlot !== gameId) {
+      const waiting = this._peekSave(gameId);
+      if (waiting && !confirm(`Aloitetaanko uusi jako? Keskeneräinen peli (${waiting.moveCount} siirtoa) jätetään kesken.`)) return;
+      if (this.game.daily) {
+        if (!this.game.state.won) this._saveGame();
+      } else {
+        this._abandonSlot();
+        this._clearSave();
+      }
+      this.currentSlot = gameId;
     }
+    const previous = this.game;
+    const inProgress = previous && previous.slot === this.currentSlot &&
+      previous.state.moveCount > 0 && !previous.state.won;
+    if (inProgress) {
+      this._unpause();
+      this._replaced = { game: previous, at: Date.now() };
+    }
+    await this.newGame();
+    if (inProgress) this.hud.showToast('Edellinen peli jäi kesken. Kumoa palauttaa sen.', 4000);
+  }
+
+  /**
+   * The new deal that replaced a game in progress is played on, or left:
+   * the replaced game is settled as abandoned.
+   */
+  _settleReplaced() {
+    if (!this._replaced) return;
+    const { game } = this._replaced;
+    this._replaced = null;
+    this._recordAbandoned(game);
+    this._settleBankroll(game);
   }
 
-  async newGame() {
-    this.game = createGame(this.currentGameId);
+  /**
+   * Take back a tap on New: the replaced game returns with its clock
+   * where it was, and the untouched new deal is dropped.
+   */
+  async _bringBackReplaced() {
+    const { game, at } = this._replaced;
+    this._replaced = null;
+    game.state.startTime += Date.now() - at;
+    this.game = game;
+    this._saveGame();
+    this.renderer.markDirty();
+    await this._forceLayout();
+    this.hud.startTimer();
+    this.hud.update();
+    this.requestRender();
+  }
+
+  /**
+   * Deal a game into the current slot, settling the one there as abandoned.
+   */
+  async newGame(dealNumber, verified = null, options = this.gameOptions) {
+    this._abandonSlot();
+    if (dealNumber == null && this.winnableOnly) {
+      this.game = await this._dealWinnable(this.currentGameId, options);
+    } else {
+      this.game = createGame(this.currentGameId, dealNumber, options);
+      this.game.state.verified = verified;
+    }
+    this.game.slot = this.currentSlot;
     this._clearSave();
     this.renderer.markDirty();
     await this._onResize();
@@ -174,18 +706,102 @@ class GameController {
     this._saveGame();
   }
 
-  async _restoreGame(saved) {
-    this.game = createGame(saved.gameId);
-    this._restoreSnapshot({ piles: saved.piles, moveCount: saved.moveCount });
-    this.game.state.startTime = Date.now() - (saved.elapsed || 0);
-    this.game.state.won = saved.won || false;
+  /**
+   * Start the current deal over from its initial layout. Undos made
+   * before the restart still count against a daily challenge. An imported
+   * layout without a deal number cannot be dealt again.
+   */
+  async restartDeal() {
+    if (!this.game || this.game.state.dealNumber == null) return;
+    const daily = this.game.daily;
+    const undos = this.game.state.undos;
+    await this.newGame(this.game.state.dealNumber, this.game.state.verified, this.game.options);
+    this.game.daily = daily;
+    this.game.state.undos = undos;
+    this._saveGame();
+  }
+
+  /**
+   * Deal random games until the solver proves one winnable. If the time
+   * budget runs out first, the last deal is played marked unverified, as
+   * are deals of variants and options the solver does not cover.
+   */
+  async _dealWinnable(gameId, options) {
+    let game = createGame(gameId, undefined, options);
+    if (!game.getSolverInput()) {
+      game.state.verified = false;
+      return game;
+    }
+
+    const deadline = Date.now() + WINNABLE_BUDGET_MS;
+    this.hud.showToast('Etsitään voitettavaa jakoa…', WINNABLE_BUDGET_MS);
+    for (;;) {
+      const input = game.getSolverInput();
+      let result;
+      try {
+        result = await this.dealSolver.solve(input.kind, input.position, {
+          maxNodes: WINNABLE_MAX_NODES,
+          timeLimit: Math.max(0, deadline - Date.now())
+        });
+      } catch (e) {
+        result = { status: 'unknown' };
+      }
+      if (result.status === 'solved') {
+        game.state.verified = true;
+        break;
+      }
+      if (Date.now() >= deadline) {
+        game.state.verified = false;
+        break;
+      }
+      game = createGame(gameId, undefined, options);
+    }
+    game.state.startTime = Date.now();
+    this.hud.showToast(game.state.verified ? 'Jako on varmasti voitettavissa' : 'Voitettavuutta ei ehditty varmistaa');
+    return game;
+  }
+
+  async _restoreGame(saved, slot) {
+    this.game = this._gameFromSave(saved, slot);
+    this._pausedAt = null;
     this.renderer.markDirty();
-    await this._onResize();
+    // The variant may differ from the last one laid out at this size
+    await this._forceLayout();
     this.hud.startTimer();
     this.hud.update();
     this.requestRender();
   }
 
+  /**
+   * Build the game in a migrated save. Throws SaveError if it does not
+   * match its variant.
+   */
+  _gameFromSave(saved, slot) {
+    const game = createGame(saved.gameId, saved.dealNumber, saved.options);
+    game.slot = slot;
+    const state = game.state;
+    state.verified = saved.verified;
+    state.resetHistory();
+    const pileIds = this._restoreSnapshot(game, saved);
+    validateRestoredGame(game, createGame(saved.gameId, null, saved.options), pileIds);
+    state.startTime = Date.now() - (saved.elapsed || 0);
+    state.won = saved.won || false;
+    state.undos = saved.undos;
+    game.daily = saved.daily;
+    state.log = saved.log;
+    return game;
+  }
+
+  /**
+   * Lay the board out again even when the canvas size is unchanged,
+   * e.g. after switching to a different variant.
+   */
+  async _forceLayout() {
+    this._lastW = null;
+    this._lastH = null;
+    await this._onResize();
+  }
+
   async _onResize(recheckCount = 0) {
     // Fix mobile viewport height (Android Chrome may report height > visible area)
     const app = document.getElementById('app');
@@ -227,6 +843,13 @@ class GameController {
     requestAnimationFrame(() => {
       this.renderRequested = false;
       if (this.game) {
+        // A hint only applies to the position it was computed for
+        if (this.renderer.highlight && this._hintNode !== this.game.state.history.current) {
+          this.renderer.setHighlight(null);
+        }
+        if (this.renderer.selection && this._selectionNode !== this.game.state.history.current) {
+          this.renderer.setSelection(null);
+        }
         this.renderer.render(this.game, this.input.getDragState());
         // Draw animations on top
         if (this.animManager.isAnimating()) {
@@ -242,28 +865,132 @@ class GameController {
     });
   }
 
-  onStockClick() {
-    this.game.state.pushUndo();
-    this.game.onStockClick();
-    this.game.state.moveCount++;
+  /**
+   * Highlight the best move. Pressing again in the same position
+   * cycles through the other suggestions.
+   */
+  showHint() {
+    const state = this.game.state;
+    if (this._hintNode !== state.history.current) {
+      this._hints = rankHints(this.game);
+      this._hintIndex = -1;
+      this._hintNode = state.history.current;
+    }
+
+    if (this._hints.length === 0) {
+      this.renderer.setHighlight(null);
+      this.hud.showToast('Ei hyödyllisiä siirtoja');
+      this.requestRender();
+      return;
+    }
+
+    this._hintIndex = (this._hintIndex + 1) % this._hints.length;
+    const move = this._hints[this._hintIndex];
+    this.renderer.setHighlight(move.type === 'stock'
+      ? { fromPileId: 'stock', fromCardIndex: -1, toPileId: null }
+      : { fromPileId: move.from.id, fromCardIndex: move.cardIndex, toPileId: move.to.id });
+    if (this._hints.length > 1) {
+      this.hud.showToast(`Vihje ${this._hintIndex + 1}/${this._hints.length}`);
+    }
+    this.requestRender();
+  }
+
+  /**
+   * Click the stock. Clicks made by auto-complete are recorded as
+   * 'autostock' so that notation replays them without a recycle penalty.
+   */
+  onStockClick(options = {}) {
+    const state = this.game.state;
+    state.beginCommand(options.autoComplete ? 'autostock' : 'stock');
+    this.game.onStockClick(options);
+    if (!state.endCommand()) return;
+    this._settleReplaced();
     this.hud.update();
     this.renderer.markDirty();
     this.requestRender();
     this._saveGame();
+    this._checkDeadEnd();
+    this._runAutoPlay();
+  }
+
+  /**
+   * Offer the game-over dialog when no productive move is left.
+   * Shown once per position, so closing it lets the player look around.
+   */
+  _checkDeadEnd() {
+    const node = this.game.state.history.current;
+    if (this._deadEndNode === node || !this.game.isDeadEnd()) return;
+    this._deadEndNode = node;
+    document.getElementById('gameover-restart').style.display = this.game.state.dealNumber == null ? 'none' : '';
+    document.getElementById('gameover-modal').style.display = 'flex';
+  }
+
+  /**
+   * A game left unfinished after at least one move counts as a loss.
+   */
+  _recordAbandoned(game = this.game) {
+    if (game && game.state.moveCount > 0 && !game.state.won) this._recordResult(false, game);
   }
 
-  tryMove(cards, fromPile, toPile) {
+  /**
+   * A new game is about to take the current slot: the game there, on
+   * screen or saved, is settled as abandoned.
+   */
+  _abandonSlot() {
+    this._unpause();
+    let game = null;
+    if (this.game && this.game.slot === this.currentSlot) {
+      // Set aside by New, not abandoned yet
+      if (this._replaced && this._replaced.game === this.game) return;
+      game = this.game;
+    } else {
+      try {
+        const saved = this._loadSave(this.currentSlot);
+        if (saved) game = this._gameFromSave(saved, this.currentSlot);
+      } catch (e) { /* an unreadable save has no result to record */ }
+    }
+    this._recordAbandoned(game);
+    this._settleBankroll(game);
+  }
+
+  _recordResult(won, game = this.game) {
+    if (game.resultRecorded) return;
+    game.resultRecorded = true;
+    const result = {
+      won,
+      time: Date.now() - game.state.startTime,
+      moves: game.state.moveCount,
+      dealNumber: game.state.dealNumber
+    };
+    this.stats.recordResult(game.id, result);
+    if (game.state.log) {
+      this.replays.add({
+        date: Date.now(),
+        gameId: game.id,
+        options: game.options,
+        ...result,
+        log: game.state.log
+      });
+    }
+  }
+
+  /**
+   * Move cards if the rules allow it. `type` is recorded on the history
+   * command; 'auto' marks moves the game made by itself (auto-play), which
+   * undo and redo step over together with the move that triggered them.
+   */
+  tryMove(cards, fromPile, toPile, type = 'move') {
     if (!this.game.canMove(cards, fromPile, toPile)) return false;
 
     // Capture source position before move
     const fromPos = this._getCardPosition(fromPile, fromPile.indexOf(cards[0]));
 
-    this.game.state.pushUndo();
-    const cardIndex = fromPile.indexOf(cards[0]);
-    const moved = fromPile.takeFrom(cardIndex);
-    toPile.pushMany(moved);
+    const state = this.game.state;
+    state.beginCommand(type);
+    const moved = state.moveCards(fromPile, toPile, fromPile.cards.length - fromPile.indexOf(cards[0]));
     this.game.onMove(moved, fromPile, toPile);
-    this.game.state.moveCount++;
+    state.endCommand();
+    this._settleReplaced();
     this.hud.update();
     this.renderer.markDirty();
 
@@ -284,6 +1011,9 @@ class GameController {
       this._onWin();
     } else {
       this._saveGame();
+      this._checkDeadEnd();
+      // A solution being played already includes the moves home
+      if (type === 'move' && !this.solver.playing) this._runAutoPlay();
     }
 
     return true;
@@ -348,22 +1078,227 @@ class GameController {
     }
   }
 
+  /**
+   * A tap in a pair game: the first card is picked, the second removes
+   * both when they make a pair. A king needs no partner.
+   */
+  selectForPair(pile) {
+    const selected = this.renderer.selection && this.game.state.getPile(this.renderer.selection);
+    this.renderer.setSelection(null);
+
+    if (pile !== selected && this.game.isAvailable(pile)) {
+      if (selected && this.game.canRemovePair(selected, pile)) {
+        this.tryRemovePair(selected, pile);
+        return;
+      }
+      if (this.game.findAutoMoveToFoundation(pile.topCard())) {
+        this.tryAutoMove(pile, pile.cards.length - 1);
+        return;
+      }
+      this.renderer.setSelection(pile.id);
+      this._selectionNode = this.game.state.history.current;
+    }
+    this.requestRender();
+  }
+
+  /**
+   * A tap in a chain game plays the pile's free card onto the waste.
+   */
+  playToWaste(pile) {
+    const waste = this.game.state.getPile('waste');
+    if (pile === waste || !this.game.isAvailable(pile)) return;
+    this.tryMove([pile.topCard()], pile, waste);
+  }
+
+  tryRemovePair(first, second) {
+    if (!this.game.canRemovePair(first, second)) return false;
+    const before = this._cardPositions();
+    const state = this.game.state;
+    state.beginCommand('pair');
+    this.game.removePair(first, second);
+    state.endCommand();
+    this._settleReplaced();
+    this.hud.update();
+    this.renderer.markDirty();
+    this._animateChangedCards(before);
+
+    if (this.game.isWon()) {
+      this._onWin();
+    } else {
+      this._saveGame();
+      this._checkDeadEnd();
+    }
+    return true;
+  }
+
+  canUndo() {
+    return this.game.state.canUndo() || this._replaced != null;
+  }
+
   undo() {
-    if (!this.game.state.canUndo()) return;
+    const state = this.game.state;
+    if (!state.canUndo() && this._replaced) {
+      this._bringBackReplaced();
+      return;
+    }
+    const before = this._cardPositions();
+    let command = state.undo();
+    if (!command) return;
+    state.undos++;
+    // Auto-played moves go back together with the move that caused them
+    while (command.type === 'auto' && state.canUndo()) command = state.undo();
+    this._afterHistoryChange(before);
+  }
+
+  redo() {
+    const state = this.game.state;
+    const before = this._cardPositions();
+    if (!state.redo()) return;
+    while (state.canRedo() && state.history.current.activeChild.data.type === 'auto') state.redo();
+    this._afterHistoryChange(before);
+  }
+
+  _wait(ms) {
+    return new Promise(r => setTimeout(r, ms));
+  }
+
+  /**
+   * Auto-play: after each move, send cards home one by one for as long as
+   * that is provably safe. Does nothing unless the setting is on.
+   */
+  async _runAutoPlay() {
+    if (!this.autoPlay || this._autoRunning) return;
+    this._autoRunning = true;
+    try {
+      for (;;) {
+        await this._wait(AUTO_STEP_MS);
+        const game = this.game;
+        if (!game || game.state.won || this.solver.playing) break;
+        const move = game.findSafeAutoMove();
+        if (!move || !this.tryMove([move.card], move.from, move.to, 'auto')) break;
+      }
+    } finally {
+      this._autoRunning = false;
+    }
+  }
+
+  /**
+   * Finish the game with a cascade of moves to the foundations.
+   */
+  async autoComplete() {
+    if (this._autoRunning || !this.game.canAutoComplete()) return;
+    this._autoRunning = true;
+    const game = this.game;
+    // Guard against cycling the waste forever if nothing can be reached
+    let idleClicks = 0;
+    try {
+      while (this.game === game && !game.state.won) {
+        const move = game.getAutoCompleteMove();
+        if (!move) break;
+        if (move.type === 'stock') {
+          const talon = game.state.getPile('stock').cards.length + game.state.getPile('waste').cards.length;
+          if (++idleClicks > 2 * (talon + 1)) break;
+          this.onStockClick({ autoComplete: true });
+        } else {
+          idleClicks = 0;
+          const cards = move.from.cards.slice(move.cardIndex);
+          if (!this.tryMove(cards, move.from, move.to)) break;
+        }
+        await this._wait(AUTO_STEP_MS);
+      }
+    } finally {
+      this._autoRunning = false;
+    }
+  }
 
-    const snapshot = this.game.state.popUndo();
-    this._restoreSnapshot(snapshot);
+  /**
+   * Jump to any position on the current history line (HUD scrubber).
+   * Not animated: a jump can move most of the deck at once.
+   */
+  jumpToHistory(index) {
+    const state = this.game.state;
+    const back = index < state.history.position();
+    if (!state.jumpTo(index)) return;
+    if (back) state.undos++;
+    this._afterHistoryChange(null);
+  }
+
+  /**
+   * Make redo and the scrubber follow the next alternative branch
+   * from the current position.
+   */
+  nextHistoryBranch() {
+    this.game.state.history.nextBranch();
+    this.hud.update();
+  }
+
+  _afterHistoryChange(positionsBefore) {
+    const state = this.game.state;
+    // The solution being played no longer starts from here
+    if (this.solver.playing) this.solver.stop();
+    if (state.won && !this.game.isWon()) {
+      state.won = false;
+      this.hud.startTimer();
+    }
     this.hud.update();
     this.renderer.markDirty();
-    this.requestRender();
-    this._saveGame();
+    if (positionsBefore) {
+      this._animateChangedCards(positionsBefore);
+    } else {
+      this.requestRender();
+    }
+    if (!state.won && this.game.isWon()) {
+      this._onWin();
+    } else {
+      this._saveGame();
+    }
   }
 
-  _restoreSnapshot(snapshot) {
+  /**
+   * Screen position of every card, keyed by the Card object itself.
+   * Undo and redo keep card identity, so comparing two of these maps
+   * shows exactly which cards moved.
+   */
+  _cardPositions() {
+    const positions = new Map();
+    for (const pile of this.game.state.getAllPiles()) {
+      pile.cards.forEach((card, i) => {
+        const pos = this._getCardPosition(pile, i);
+        if (pos) positions.set(card, pos);
+      });
+    }
+    return positions;
+  }
+
+  _animateChangedCards(positionsBefore) {
+    const after = this._cardPositions();
+    let animated = false;
+    for (const [card, from] of positionsBefore) {
+      const to = after.get(card);
+      if (!to || (to.x === from.x && to.y === from.y)) continue;
+      this.animManager.animate([card], from.x, from.y, to.x, to.y, 0);
+      animated = true;
+    }
+    if (!animated) {
+      this.requestRender();
+      return;
+    }
+    this.animManager.onComplete = () => {
+      this.renderer.markDirty();
+      this.requestRender();
+    };
+    this._animLoop();
+  }
+
+  /**
+   * Rebuild the board from a saved JSON snapshot. Only used when loading a
+   * save; undo and redo go through the command history instead.
+   */
+  _restoreSnapshot(game, snapshot) {
     const pilesData = JSON.parse(snapshot.piles);
 
     for (const [pileId, data] of Object.entries(pilesData)) {
-      const pile = this.game.state.getPile(pileId);
+      const pile = game.state.getPile(pileId);
       if (!pile) continue;
       pile.cards = data.cards.map(c => {
         const card = new Card(c.suit, c.rank);
@@ -372,48 +1307,125 @@ class GameController {
       });
     }
 
-    this.game.state.moveCount = snapshot.moveCount;
+    game.state.moveCount = snapshot.moveCount;
+    game.state.score = snapshot.score;
+    game.state.redeals = snapshot.redeals;
+    game.state.streak = snapshot.streak;
+    return Object.keys(pilesData);
   }
 
   _saveGame() {
-    try {
-      const data = {
-        version: APP_VERSION,
-        gameId: this.currentGameId,
-        piles: this.game.state.snapshot(),
-        moveCount: this.game.state.moveCount,
-        elapsed: Date.now() - this.game.state.startTime,
-        won: this.game.state.won
-      };
-      localStorage.setItem('pasianssi-save', JSON.stringify(data));
-    } catch (e) { /* quota exceeded etc. */ }
+    if (this.replayViewer.active) return;
+    const data = {
+      schema: SAVE_SCHEMA,
+      version: APP_VERSION,
+      gameId: this.game.id,
+      dealNumber: this.game.state.dealNumber,
+      verified: this.game.state.verified,
+      options: this.game.options,
+      piles: this.game.state.snapshot(),
+      moveCount: this.game.state.moveCount,
+      score: this.game.state.score,
+      redeals: this.game.state.redeals,
+      streak: this.game.state.streak,
+      undos: this.game.state.undos,
+      daily: this.game.daily || null,
+      log: this.game.state.log,
+      elapsed: (this._pausedAt ?? Date.now()) - this.game.state.startTime,
+      won: this.game.state.won
+    };
+    this.storage.set(this._saveKey(this.game.slot), data);
   }
 
-  _loadSave() {
-    try {
-      const json = localStorage.getItem('pasianssi-save');
-      if (!json) return null;
-      const data = JSON.parse(json);
-      if (!data.gameId || !data.piles) return null;
-      if (data.won) return null; // Don't restore won games
-      // Discard saves from different versions to avoid restore issues
-      if (data.version && data.version !== APP_VERSION) {
-        localStorage.removeItem('pasianssi-save');
-        return null;
-      }
-      return data;
-    } catch (e) { return null; }
+  // Each slot keeps its own game in progress
+  _saveKey(slot) {
+    return `pasianssi-save-${slot}`;
+  }
+
+  /**
+   * The slot's saved game upgraded to the current schema, or null if
+   * there is nothing to continue. Throws SaveError if the save cannot be used.
+   */
+  _loadSave(slot) {
+    let data = this.storage.get(this._saveKey(slot));
+    if (data == null) return null;
+    if (typeof data !== 'object' || !isSlotOf(slot, data.gameId) || !data.piles) throw new SaveError('Tallennus on vioittunut.');
+    if (data.won) return null; // Don't restore won games
+
+    data = migrateSave(data);
+    validateSave(data, getGameList().map(g => g.id));
+    return data;
+  }
+
+  /**
+   * Moves and elapsed time of the variant's game in progress for the menu,
+   * without restoring it. Null if there is none worth continuing.
+   */
+  _peekSave(gameId) {
+    const data = this.storage.get(this._saveKey(gameId));
+    // Anything unreadable is reported when the game is opened
+    return data && typeof data === 'object' && !data.won && data.moveCount > 0 ? data : null;
+  }
+
+  /**
+   * Keep a save that could not be restored under another key instead of
+   * losing it, so it can still be recovered by hand.
+   */
+  _setAsideSave(slot) {
+    const data = this.storage.get(this._saveKey(slot));
+    if (data != null) this.storage.set('pasianssi-save-unrestored', data);
+    this.storage.remove(this._saveKey(slot));
+  }
+
+  /**
+   * Move the single save of earlier versions into its variant's slot.
+   */
+  _migrateLegacySave() {
+    const data = this.storage.get('pasianssi-save');
+    if (data == null) return;
+    const gameId = data && typeof data === 'object' ? data.gameId : null;
+    if (typeof gameId === 'string') {
+      this.storage.set(this._saveKey(gameId), data);
+      this.storage.set('pasianssi-last-game', gameId);
+    } else {
+      this.storage.set('pasianssi-save-unrestored', data);
+    }
+    this.storage.remove('pasianssi-save');
   }
 
   _clearSave() {
-    localStorage.removeItem('pasianssi-save');
+    this.storage.remove(this._saveKey(this.game.slot));
+  }
+
+  /**
+   * Add a won or abandoned Vegas game to the cumulative bankroll, once.
+   */
+  _settleBankroll(game = this.game) {
+    if (!game || game.scoring !== 'vegas' || !this.vegasBankroll || game.bankrollSettled) return;
+    game.bankrollSettled = true;
+    this.bankroll.add(game.state.score);
   }
 
   _onWin() {
     this.game.state.won = true;
+    this._recordResult(true);
+    this._settleBankroll();
     this.hud.stopTimer();
     this._clearSave();
     this._playWinAnimation();
+    if (this.game.daily) this._completeDaily();
+  }
+
+  _completeDaily() {
+    const game = this.game;
+    const result = {
+      time: Date.now() - game.state.startTime,
+      moves: game.state.moveCount,
+      undos: game.state.undos
+    };
+    this.daily.recordCompletion(game.daily, game.id, result);
+    // Let the confetti play before the dialog covers the board
+    setTimeout(() => this.dailyPanel.showResult(game.daily, game.id, result), 1500);
   }
 
   _playWinAnimation() {
@@ -504,7 +1516,12 @@ class GameController {
 
 // Boot
 document.addEventListener('DOMContentLoaded', async () => {
-  const gc = new GameController();
+  const storage = new Storage();
+  await storage.open();
+  const tabLock = new TabLock();
+  await tabLock.acquire();
+  storage.canWrite = () => tabLock.checkOwner();
+  const gc = new GameController(storage, tabLock);
   await gc.init();
 });
 
@@ -18,6 +18,14 @@ export class BoardRenderer {
     // Card positions cache: for hit testing
     this.cardPositions = [];
 
+    // Hint highlight drawn over the cached board:
+    // { fromPileId, fromCardIndex, toPileId } (toPileId may be null)
+    this.highlight = null;
+    // Pile whose top card is picked as the first of a pair, or null
+    this.selection = null;
+    // Type of the piles laid out overlapping each other (Pyramid, TriPeaks)
+    this.overlappingType = null;
+
     // Offscreen canvas for static board (B+D optimization)
     this._bgCanvas = document.createElement('canvas');
     this._bgCtx = this._bgCanvas.getContext('2d');
@@ -28,6 +36,14 @@ export class BoardRenderer {
     this._bgDirty = true;
   }
 
+  setHighlight(highlight) {
+    this.highlight = highlight;
+  }
+
+  setSelection(pileId) {
+    this.selection = pileId;
+  }
+
   recalculate(game, rightHanded) {
     const layout = game.getBoardLayout();
     const cols = layout.columns;
@@ -96,6 +112,18 @@ export class BoardRenderer {
       });
     }
 
+    // Reserves (Canfield): in the top row they are mirrored like the rest
+    // of it, next to the tableau they stay put
+    if (layout.reserves) {
+      layout.reserves.forEach((r, i) => {
+        const col = r.row === 0 ? mirrorCol(r.col) : r.col;
+        this.pilePositions[`reserve-${i}`] = {
+          x: offsetX + col * (this.cardWidth + this.columnGap),
+          y: r.row === 0 ? row0Y : row1Y
+        };
+      });
+    }
+
     // Tableau
     if (layout.tableau) {
       layout.tableau.forEach((t, i) => {
@@ -106,6 +134,19 @@ export class BoardRenderer {
       });
     }
 
+    // Overlapping piles of one card each (Pyramid, TriPeaks): each row
+    // half a card lower than the one above, so the cards of a row cover
+    // the lower halves of the cards above them
+    this.overlappingType = layout.overlapping ? layout.overlapping.type : null;
+    if (layout.overlapping) {
+      layout.overlapping.positions.forEach((p, i) => {
+        this.pilePositions[`${layout.overlapping.type}-${i}`] = {
+          x: offsetX + p.col * (this.cardWidth + this.columnGap),
+          y: row1Y + p.row * Math.round(this.cardHeight * 0.5)
+        };
+      });
+    }
+
     // Resize offscreen canvas to match
     this._bgCanvas.width = this.canvas.width;
     this._bgCanvas.height = this.canvas.height;
@@ -135,6 +176,7 @@ export class BoardRenderer {
       const pos = this.pilePositions[pile.id];
       if (!pos) continue;
       this._renderPile(ctx, pile, pos.x, pos.y, null);
+      this._renderPileLabel(ctx, game.getPileLabel(pile), pos.x, pos.y);
     }
 
     ctx.restore();
@@ -173,6 +215,7 @@ export class BoardRenderer {
         const pos = this.pilePositions[pile.id];
         if (!pos) continue;
         this._renderPile(ctx, pile, pos.x, pos.y, dragState);
+        this._renderPileLabel(ctx, game.getPileLabel(pile), pos.x, pos.y);
       }
 
       // Draw dragged cards on top
@@ -191,10 +234,87 @@ export class BoardRenderer {
       ctx.setTransform(1, 0, 0, 1, 0, 0);
       ctx.drawImage(this._bgCanvas, 0, 0);
       ctx.restore();
+
+      if (this.highlight || this.selection) {
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.scale(dpr, dpr);
+        if (this.highlight) this._renderHighlight(ctx);
+        if (this.selection) this._renderSelection(ctx);
+        ctx.restore();
+      }
     }
   }
 
+  _renderHighlight(ctx) {
+    const h = this.highlight;
+    const source = this._pileBounds(h.fromPileId, h.fromCardIndex);
+    const target = h.toPileId ? this._pileBounds(h.toPileId, Infinity) : null;
+
+    ctx.lineWidth = 3;
+    if (source) {
+      ctx.strokeStyle = '#f1c40f';
+      this._roundRectPath(ctx, source.x - 2, source.y - 2, source.width + 4, source.height + 4, 6);
+      ctx.stroke();
+    }
+    if (target) {
+      ctx.strokeStyle = '#2ecc71';
+      this._roundRectPath(ctx, target.x - 2, target.y - 2, target.width + 4, target.height + 4, 6);
+      ctx.stroke();
+    }
+  }
+
+  _renderSelection(ctx) {
+    const bounds = this._pileBounds(this.selection, Infinity);
+    if (!bounds) return;
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = '#3498db';
+    this._roundRectPath(ctx, bounds.x - 2, bounds.y - 2, bounds.width + 4, bounds.height + 4, 6);
+    ctx.stroke();
+  }
+
+  /**
+   * Bounding box of a pile's drawn cards from `fromIndex` upwards.
+   * Passing Infinity gives just the top card (or the empty placeholder).
+   */
+  _pileBounds(pileId, fromIndex) {
+    const entries = this.cardPositions.filter(cp => cp.pileId === pileId);
+    if (entries.length === 0) return null;
+    const top = entries[entries.length - 1];
+    const picked = entries.filter(cp => cp.cardIndex >= fromIndex);
+    const first = picked.length > 0 ? picked[0] : top;
+    return {
+      x: first.x,
+      y: first.y,
+      width: this.cardWidth,
+      height: top.y + top.height - first.y
+    };
+  }
+
+  /**
+   * Small badge at the bottom of a pile (e.g. stock passes "2/3").
+   */
+  _renderPileLabel(ctx, text, x, y) {
+    if (!text) return;
+    const fontSize = Math.max(10, Math.round(this.cardWidth * 0.18));
+    ctx.font = `bold ${fontSize}px Arial, sans-serif`;
+    const w = ctx.measureText(text).width + fontSize;
+    const h = fontSize * 1.5;
+    const bx = x + (this.cardWidth - w) / 2;
+    const by = y + this.cardHeight - h - 4;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+    this._roundRect(ctx, bx, by, w, h, h / 2);
+    ctx.fillStyle = '#fff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x + this.cardWidth / 2, by + h / 2);
+  }
+
   _renderPile(ctx, pile, x, y, dragState) {
+    // A cleared overlapping position leaves no gap to drop anything into,
+    // and taps there reach the cards it covered
+    if (pile.type === this.overlappingType && pile.isEmpty()) return;
+
     if (pile.isEmpty()) {
       this.cardRenderer.drawEmptyPile(ctx, x, y, pile.type);
       // Still record position for drop targeting
@@ -233,11 +353,11 @@ export class BoardRenderer {
         cy += card.faceUp ? this.overlapFaceUp : this.overlapFaceDown;
       }
     } else {
-      // Stock, waste, foundation: only show top card
+      // Stock, waste, foundation, reserve: only show top card
       const topCard = pile.topCard();
 
-      // For stock, show card back count indicator
-      if (pile.type === 'stock' && pile.cards.length > 1) {
+      // For stock and reserve, show card back count indicator
+      if ((pile.type === 'stock' || pile.type === 'reserve') && pile.cards.length > 1) {
         // Draw slight offset to show stack depth
         const offset = Math.min(2, pile.cards.length > 5 ? 2 : 1);
         ctx.fillStyle = '#1a5276';
@@ -270,6 +390,11 @@ export class BoardRenderer {
   }
 
   _roundRect(ctx, x, y, w, h, r) {
+    this._roundRectPath(ctx, x, y, w, h, r);
+    ctx.fill();
+  }
+
+  _roundRectPath(ctx, x, y, w, h, r) {
     ctx.beginPath();
     ctx.moveTo(x + r, y);
     ctx.lineTo(x + w - r, y);
@@ -281,12 +406,12 @@ export class BoardRenderer {
     ctx.lineTo(x, y + r);
     ctx.arcTo(x, y, x + r, y, r);
     ctx.closePath();
-    ctx.fill();
   }
 
   /**
    * Hit test: find which card/pile is at the given canvas coordinates.
-   * Iterates in reverse order (topmost cards first).
+   * Iterates in reverse order (topmost cards first), so where cards
+   * overlap the one drawn last — the one covering the others — is hit.
    */
   hitTest(x, y) {
     for (let i = this.cardPositions.length - 1; i >= 0; i--) {
@@ -313,7 +438,7 @@ export class BoardRenderer {
     for (const [pileId, pos] of Object.entries(this.pilePositions)) {
       const pile = game.state.getPile(pileId);
       if (!pile) continue;
-      if (pile.type === 'stock' || pile.type === 'waste') continue;
+      if (pile.type === 'stock' || pile.type === 'waste' || pile.type === 'reserve') continue;
 
       // Calculate the effective Y of the top of the pile
       let pileTopY = pos.y;
@@ -66,6 +66,7 @@ export class CardRenderer {
     promises.push(this._svgToImage('empty-stock', this._generateEmptyPileSVG('stock'), targetCache));
     promises.push(this._svgToImage('empty-waste', this._generateEmptyPileSVG('waste'), targetCache));
     promises.push(this._svgToImage('empty-freecell', this._generateEmptyPileSVG('freecell'), targetCache));
+    promises.push(this._svgToImage('empty-reserve', this._generateEmptyPileSVG('reserve'), targetCache));
 
     await Promise.all(promises);
   }
@@ -452,6 +453,9 @@ export class CardRenderer {
     } else if (type === 'freecell') {
       const size = Math.max(10, w * 0.2);
       inner = `<text x="${w / 2}" y="${h / 2}" font-size="${size}" font-family="Arial, sans-serif" fill="#3a7d4a" text-anchor="middle" dominant-baseline="central">FC</text>`;
+    } else if (type === 'reserve') {
+      const size = Math.max(10, w * 0.2);
+      inner = `<text x="${w / 2}" y="${h / 2}" font-size="${size}" font-family="Arial, sans-serif" fill="#3a7d4a" text-anchor="middle" dominant-baseline="central">R</text>`;
     }
 
     return `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">
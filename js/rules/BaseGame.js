@@ -1,16 +1,40 @@
 import { GameState } from '../engine/GameState.js';
+import { createRandom } from '../engine/Random.js';
+import { solve } from '../solver/solve.js';
+import { hasProductiveMove } from './Hint.js';
+
+// Search budget for confirming a dead end: small enough not to hold up play
+const DEAD_END_SEARCH = { maxNodes: 20000, timeLimit: 250 };
 
 export class BaseGame {
   constructor() {
     this.state = new GameState();
     this.name = 'Base';
     this.description = '';
+    // Options chosen from GameRegistry (set by createGame)
+    this.options = {};
+    // Score shown in the HUD: 'none', 'standard' or 'vegas'
+    this.scoring = 'none';
+    // Cards are removed in pairs picked by tapping (Pyramid) instead of
+    // being dragged between piles
+    this.removesPairs = false;
+    // Cards are played by tapping them onto the waste (TriPeaks, Golf)
+    this.playsToWaste = false;
   }
 
   setup() {
     throw new Error('Subclass must implement setup()');
   }
 
+  /**
+   * Random source for dealing. Seeded from the deal number so the same
+   * deal number always produces the same layout.
+   */
+  createRandom() {
+    const deal = this.state.dealNumber;
+    return deal == null ? Math.random : createRandom(deal);
+  }
+
   canMove(cards, fromPile, toPile) {
     throw new Error('Subclass must implement canMove()');
   }
@@ -19,6 +43,28 @@ export class BaseGame {
     // Override for post-move logic (flip cards, etc.)
   }
 
+  /**
+   * Whether the pile's top card is free to be played.
+   */
+  isAvailable(pile) {
+    return !pile.isEmpty();
+  }
+
+  /**
+   * Whether the top cards of two piles can be removed together
+   * (games with `removesPairs`).
+   */
+  canRemovePair(first, second) {
+    return false;
+  }
+
+  /**
+   * Remove the top cards of two piles; canRemovePair() has been checked.
+   */
+  removePair(first, second) {
+    throw new Error('Subclass must implement removePair()');
+  }
+
   isWon() {
     throw new Error('Subclass must implement isWon()');
   }
@@ -35,6 +81,178 @@ export class BaseGame {
     return '';
   }
 
+  /**
+   * True when the game can no longer be won by playing on: no productive
+   * move is left, and no way on either (see _canStillWin()). Rules with a
+   * stock override this to look through it.
+   */
+  isDeadEnd() {
+    if (this.isWon() || hasProductiveMove(this)) return false;
+    const seen = this.state.visitedPositions();
+    return !this._canStillWin(() => this._hasFreshMove(seen));
+  }
+
+  /**
+   * isDeadEnd() for rules that deal from a stock to a waste: nothing left in
+   * any stock position. Two full cycles cover draw-3, where the first pass
+   * can stop at different cards.
+   */
+  _isDeadEndThroughStock() {
+    if (this.isWon() || this._inAnyStockPosition(() => hasProductiveMove(this))) return false;
+    const seen = this.state.visitedPositions();
+    return !this._canStillWin(() => this._inAnyStockPosition(() => this._hasFreshMove(seen)));
+  }
+
+  // Whether `test` holds in some position the stock can reach. Clicks
+  // through it inside a probe, so the board is left untouched.
+  _inAnyStockPosition(test) {
+    const s = this.state;
+    const talon = s.getPile('stock').cards.length + s.getPile('waste').cards.length;
+    return s.probe(() => {
+      for (let i = 0; i <= 2 * (talon + 1); i++) {
+        if (test()) return true;
+        if (talon === 0) break;
+        this.onStockClick();
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Second opinion once no productive move is left, since the hint scores
+   * pass over moves that can still matter, such as shifting a run between
+   * columns. A short solver search decides where the rules have a solver;
+   * when there is none or it runs out of budget, `hasFreshMove` does.
+   */
+  _canStillWin(hasFreshMove) {
+    const input = this.getSolverInput();
+    if (input) {
+      const { status } = solve(input.kind, input.position, DEAD_END_SEARCH);
+      if (status !== 'unknown') return status === 'solved';
+    }
+    return hasFreshMove();
+  }
+
+  // Whether some card move leads to a position not in `seen`
+  _hasFreshMove(seen) {
+    const s = this.state;
+    return this.getLegalMoves().some(m => m.type === 'move' && s.probe(() => {
+      s.moveCards(m.from, m.to, m.from.cards.length - m.cardIndex);
+      return !seen.has(s.snapshot());
+    }));
+  }
+
+  /**
+   * Input for the solver worker, or null if this game has no solver.
+   * Returns { kind, position } where `position` is structured-clone safe.
+   */
+  getSolverInput() {
+    return null;
+  }
+
+  /**
+   * Every move that is legal right now. Moves are plain objects:
+   *   { type: 'move', from: Pile, cardIndex, to: Pile }  — cards from cardIndex up
+   *   { type: 'pair', from: Pile, cardIndex, to: Pile }  — the top cards of both
+   *                                                        piles removed together
+   *   { type: 'stock' }                                  — a stock click
+   */
+  getLegalMoves() {
+    throw new Error('Subclass must implement getLegalMoves()');
+  }
+
+  /**
+   * Collect legal card moves from the given source piles to the given targets.
+   * Tableau piles may be picked up from any face-up card; other piles only
+   * from the top card. Moves between two piles of another type (foundation
+   * to foundation, free cell to free cell) gain nothing and are left out.
+   */
+  _collectMoves(sources, targets) {
+    const moves = [];
+    for (const from of sources) {
+      if (from.isEmpty()) continue;
+      const lowest = from.type === 'tableau' ? 0 : from.cards.length - 1;
+      for (let i = from.cards.length - 1; i >= lowest; i--) {
+        if (!from.cards[i].faceUp) break;
+        const cards = from.cards.slice(i);
+        for (const to of targets) {
+          if (to === from || (to.type === from.type && from.type !== 'tableau')) continue;
+          if (this.canMove(cards, from, to)) {
+            moves.push({ type: 'move', from, cardIndex: i, to });
+          }
+        }
+      }
+    }
+    return moves;
+  }
+
+  /**
+   * Whether a card can go home without ever being needed in the tableau
+   * again: aces and twos always, otherwise only once every opposite-colour
+   * foundation is at least one rank below it (nothing left could be
+   * built on it). Two-deck games have two foundations per suit.
+   */
+  isSafeToFoundation(card) {
+    if (card.rank <= 2) return true;
+    const foundations = this.state.getPilesByType('foundation');
+    const perSuit = foundations.length / 4;
+    const heights = {};
+    for (const foundation of foundations) {
+      const top = foundation.topCard();
+      if (top) (heights[top.suit] ||= []).push(top.rank);
+    }
+    const lowest = suit => (heights[suit] || []).length < perSuit ? 0 : Math.min(...heights[suit]);
+    const opposite = card.color === 'red' ? ['clubs', 'spades'] : ['hearts', 'diamonds'];
+    return opposite.every(suit => lowest(suit) >= card.rank - 1);
+  }
+
+  /**
+   * A top card that can safely be auto-played to a foundation:
+   * { card, from, to }, or null.
+   */
+  findSafeAutoMove() {
+    for (const pile of this.state.getAllPiles()) {
+      if (!['tableau', 'waste', 'freecell', 'reserve'].includes(pile.type)) continue;
+      const card = pile.topCard();
+      if (!card || !card.faceUp) continue;
+      const to = this.findAutoMoveToFoundation(card);
+      if (to && this.isSafeToFoundation(card)) return { card, from: pile, to };
+    }
+    return null;
+  }
+
+  /**
+   * Short text drawn on a pile, e.g. the pass counter on the stock, or null.
+   */
+  getPileLabel(pile) {
+    return null;
+  }
+
+  /**
+   * Whether the game can be finished automatically (auto-complete button).
+   */
+  canAutoComplete() {
+    return false;
+  }
+
+  /**
+   * Next step of auto-complete: a move object as in getLegalMoves(), or null.
+   * By default a tableau card that can go home.
+   */
+  getAutoCompleteMove() {
+    return this._moveHome(this.state.getPilesByType('tableau'));
+  }
+
+  // Move of the first top card among `piles` that a foundation takes
+  _moveHome(piles) {
+    for (const from of piles) {
+      const card = from.topCard();
+      const to = card && this.findAutoMoveToFoundation(card);
+      if (to) return { type: 'move', from, cardIndex: from.cards.length - 1, to };
+    }
+    return null;
+  }
+
   findAutoMoveToFoundation(card) {
     const foundations = this.state.getPilesByType('foundation');
     for (const foundation of foundations) {
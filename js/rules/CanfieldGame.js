@@ -0,0 +1,243 @@
+import { BaseGame } from './BaseGame.js';
+import { Deck } from '../engine/Deck.js';
+import { Pile } from '../engine/Pile.js';
+
+const RESERVE_SIZE = 13;
+const COLUMNS = 4;
+const DRAW_COUNT = 3;
+
+/**
+ * Canfield: a 13-card reserve, four columns and a draw-3 stock that can be
+ * gone through any number of times. The first card dealt to the
+ * foundations sets the base rank all four start from; ranks wrap around
+ * from king to ace both there and in the columns. An emptied column is
+ * refilled from the reserve straight away.
+ */
+export class CanfieldGame extends BaseGame {
+  constructor() {
+    super();
+    this.name = 'Canfield';
+    this.description = 'Reserve of 13 and a random base rank';
+  }
+
+  setup() {
+    const deck = new Deck().createStandard52().shuffle(this.createRandom());
+
+    const reserve = new Pile('reserve', 'reserve-0');
+    deck.deal(RESERVE_SIZE).forEach((card, i) => {
+      card.faceUp = i === RESERVE_SIZE - 1;
+      reserve.push(card);
+    });
+    this.state.addPile(reserve);
+
+    for (let i = 0; i < 4; i++) {
+      this.state.addPile(new Pile('foundation', `foundation-${i}`));
+    }
+    const base = deck.deal(1)[0];
+    base.faceUp = true;
+    this.state.getPile('foundation-0').push(base);
+
+    for (let i = 0; i < COLUMNS; i++) {
+      const pile = new Pile('tableau', `tableau-${i}`);
+      const card = deck.deal(1)[0];
+      card.faceUp = true;
+      pile.push(card);
+      this.state.addPile(pile);
+    }
+
+    const stock = new Pile('stock', 'stock');
+    for (const card of deck.cards) {
+      card.faceUp = false;
+      stock.push(card);
+    }
+    this.state.addPile(stock);
+    this.state.addPile(new Pile('waste', 'waste'));
+
+    this.state.startTime = Date.now();
+  }
+
+  /**
+   * Rank every foundation starts from: that of the card dealt to the
+   * foundations. Foundation cards never leave, so it stays at the bottom.
+   */
+  get baseRank() {
+    const started = this.state.getPilesByType('foundation').find(p => !p.isEmpty());
+    return started ? started.cards[0].rank : 1;
+  }
+
+  // Position of a rank counted from the base rank: base = 1 ... base - 1 = 13
+  _relativeRank(card) {
+    return (card.rank - this.baseRank + 13) % 13 + 1;
+  }
+
+  canMove(cards, fromPile, toPile) {
+    if (!cards || cards.length === 0) return false;
+    if (fromPile === toPile) return false;
+    if (fromPile && (fromPile.type === 'stock' || fromPile.type === 'foundation')) return false;
+    if (!this._isValidSequence(cards)) return false;
+
+    const bottomCard = cards[0];
+
+    if (toPile.type === 'foundation') {
+      if (cards.length !== 1) return false;
+      if (toPile.isEmpty()) return bottomCard.rank === this.baseRank;
+      const top = toPile.topCard();
+      return bottomCard.suit === top.suit && bottomCard.rank === top.rank % 13 + 1;
+    }
+
+    if (toPile.type === 'tableau') {
+      // Columns only stay empty once the reserve is used up; then any card
+      // may go there
+      if (toPile.isEmpty()) return true;
+      return this._buildsOn(bottomCard, toPile.topCard());
+    }
+
+    return false;
+  }
+
+  // Down in alternate colours, an ace taking a king
+  _buildsOn(card, below) {
+    return card.color !== below.color && below.rank === card.rank % 13 + 1;
+  }
+
+  _isValidSequence(cards) {
+    for (let i = 1; i < cards.length; i++) {
+      if (!this._buildsOn(cards[i], cards[i - 1])) return false;
+    }
+    return true;
+  }
+
+  onMove(cards, fromPile, toPile) {
+    const reserve = this.state.getPile('reserve-0');
+    for (const pile of this.state.getPilesByType('tableau')) {
+      if (pile.isEmpty() && !reserve.isEmpty()) this.state.moveCards(reserve, pile, 1);
+    }
+    if (!reserve.isEmpty() && !reserve.topCard().faceUp) this.state.flipTop(reserve);
+  }
+
+  /**
+   * As in BaseGame, but counted from the base rank: two foundation cards
+   * of the opposite colour one step below make a card safe to play home.
+   */
+  isSafeToFoundation(card) {
+    const rank = this._relativeRank(card);
+    if (rank <= 2) return true;
+    const heights = {};
+    for (const foundation of this.state.getPilesByType('foundation')) {
+      if (!foundation.isEmpty()) heights[foundation.cards[0].suit] = foundation.cards.length;
+    }
+    const opposite = card.color === 'red' ? ['clubs', 'spades'] : ['hearts', 'diamonds'];
+    return opposite.every(suit => (heights[suit] || 0) >= rank - 1);
+  }
+
+  onStockClick() {
+    const stock = this.state.getPile('stock');
+    const waste = this.state.getPile('waste');
+
+    if (stock.isEmpty()) {
+      if (waste.isEmpty()) return;
+      while (!waste.isEmpty()) {
+        this.state.moveCards(waste, stock, 1);
+        this.state.flipTop(stock);
+      }
+      this.state.countRedeal();
+    } else {
+      const count = Math.min(DRAW_COUNT, stock.cards.length);
+      for (let i = 0; i < count; i++) {
+        this.state.moveCards(stock, waste, 1);
+        this.state.flipTop(waste);
+      }
+    }
+  }
+
+  getPileLabel(pile) {
+    return pile.type === 'reserve' && !pile.isEmpty() ? String(pile.cards.length) : null;
+  }
+
+  getLegalMoves() {
+    const s = this.state;
+    const tableau = s.getPilesByType('tableau');
+    const foundations = s.getPilesByType('foundation');
+    const moves = this._collectMoves(
+      [...tableau, s.getPile('waste'), s.getPile('reserve-0')],
+      [...tableau, ...foundations]
+    );
+    if (!s.getPile('stock').isEmpty() || !s.getPile('waste').isEmpty()) {
+      moves.push({ type: 'stock' });
+    }
+    return moves;
+  }
+
+  /**
+   * Once the stock, waste and reserve are used up and every column runs
+   * down from the base rank's point of view, playing the lowest card home
+   * always finishes the game. A king on an ace can break that order.
+   */
+  canAutoComplete() {
+    const s = this.state;
+    if (this.isWon()) return false;
+    if (!s.getPile('stock').isEmpty() || !s.getPile('waste').isEmpty() || !s.getPile('reserve-0').isEmpty()) {
+      return false;
+    }
+    return s.getPilesByType('tableau').every(p => p.cards.every((card, i) =>
+      i === 0 || this._relativeRank(card) === this._relativeRank(p.cards[i - 1]) - 1));
+  }
+
+  isDeadEnd() {
+    return this._isDeadEndThroughStock();
+  }
+
+  isWon() {
+    return this.state.getPilesByType('foundation')
+      .every(p => p.cards.length === 13);
+  }
+
+  getRules() {
+    return `<h2>Canfield</h2>
+<h3>Tavoite</h3>
+<p>Siirrä kaikki 52 korttia neljään perustapiikkiin maittain, alkaen pohjakortin arvosta.</p>
+<h3>Pelialue</h3>
+<ul>
+<li><b>Reservi</b> — 13 korttia, joista päällimmäinen on pelattavissa</li>
+<li><b>4 perustapiikkiä</b> — ensimmäiseen jaetaan pohjakortti; kaikki pinot aloitetaan sen arvosta</li>
+<li><b>4 tableau-pinoa</b> — yksi kortti kussakin</li>
+<li><b>Varastopakka</b> — klikkaa nostaaksesi kolme korttia jätepinoon</li>
+</ul>
+<h3>Säännöt</h3>
+<ul>
+<li>Perustapiikit rakennetaan maittain nousevasti pohjakortin arvosta alkaen; kuninkaan jälkeen tulee ässä (esim. 7, 8 ... K, A ... 6)</li>
+<li>Tableau-pinoissa kortit järjestetään laskevasti vuoroväreillä; ässän päälle käy kuningas</li>
+<li>Korttiryhmiä voi siirtää kerralla, jos ne muodostavat oikean järjestyksen</li>
+<li>Tyhjä tableau-pino täytetään heti reservin päällimmäisellä kortilla; kun reservi on lopussa, tyhjään pinoon voi siirtää minkä tahansa kortin</li>
+<li>Perustapiikeistä ei voi siirtää kortteja takaisin</li>
+<li>Jätepinon voi kierrättää takaisin varastoksi niin monta kertaa kuin haluat</li>
+</ul>
+<h3>Ohjaus</h3>
+<ul>
+<li><b>Raahaa</b> kortteja pinojen välillä</li>
+<li><b>Klikkaa</b> korttia siirtääksesi sen automaattisesti parhaaseen paikkaan</li>
+<li><b>Tuplaklikkaa</b> siirtääksesi kortin perustaan</li>
+</ul>`;
+  }
+
+  getBoardLayout() {
+    return {
+      stock: { col: 0, row: 0 },
+      waste: { col: 1, row: 0 },
+      foundations: [
+        { col: 2, row: 0 },
+        { col: 3, row: 0 },
+        { col: 4, row: 0 },
+        { col: 5, row: 0 }
+      ],
+      reserves: [{ col: 0, row: 1 }],
+      tableau: [
+        { col: 2, row: 1 },
+        { col: 3, row: 1 },
+        { col: 4, row: 1 },
+        { col: 5, row: 1 }
+      ],
+      columns: 6
+    };
+  }
+}
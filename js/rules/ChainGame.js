@@ -0,0 +1,104 @@
+import { BaseGame } from './BaseGame.js';
+import { hasProductiveMove } from './Hint.js';
+
+/**
+ * Games played in chains onto a single waste pile (TriPeaks, Golf): a free
+ * card goes onto the waste if it is one rank above or below the waste's top
+ * card, and the stock turns up a new waste card when the chain runs out.
+ * Each card in a chain scores one point more than the one before it.
+ *
+ * Subclasses deal the piles of `playType` and may override isAvailable()
+ * for layouts where cards cover each other.
+ */
+export class ChainGame extends BaseGame {
+  constructor() {
+    super();
+    this.scoring = 'streak';
+    // Cards are played by tapping them, always onto the waste
+    this.playsToWaste = true;
+    // Type of the piles cards are played from
+    this.playType = 'tableau';
+    // Whether king and ace count as neighbours
+    this.wraps = false;
+  }
+
+  /**
+   * Put the rest of the deck in the stock and turn its top card up as the
+   * first waste card.
+   */
+  _dealStock(cards) {
+    const stock = this.state.getPile('stock');
+    const waste = this.state.getPile('waste');
+    cards.forEach((card, i) => {
+      card.faceUp = i === cards.length - 1;
+      (card.faceUp ? waste : stock).push(card);
+    });
+  }
+
+  isAvailable(pile) {
+    return !pile.isEmpty() && pile.topCard().faceUp;
+  }
+
+  canMove(cards, fromPile, toPile) {
+    if (!cards || cards.length !== 1 || !fromPile || toPile.type !== 'waste') return false;
+    if (fromPile.type !== this.playType || !this.isAvailable(fromPile)) return false;
+    const top = toPile.topCard();
+    return !!top && this._isNeighbour(cards[0].rank, top.rank);
+  }
+
+  _isNeighbour(a, b) {
+    const diff = Math.abs(a - b);
+    return diff === 1 || (this.wraps && diff === 12);
+  }
+
+  onMove(cards, fromPile, toPile) {
+    if (toPile.type !== 'waste') return;
+    const streak = this.state.streak + 1;
+    this.state.setStreak(streak);
+    this.state.addScore(streak);
+    this.afterPlay(fromPile);
+  }
+
+  /**
+   * Called after a card has been played from `pile`, still inside the move.
+   */
+  afterPlay(pile) {
+    // Override to turn up uncovered cards, add bonuses, etc.
+  }
+
+  // Turning up a new waste card ends the streak
+  onStockClick() {
+    const stock = this.state.getPile('stock');
+    if (stock.isEmpty()) return;
+    this.state.moveCards(stock, this.state.getPile('waste'), 1);
+    this.state.flipTop(this.state.getPile('waste'));
+    this.state.setStreak(0);
+  }
+
+  getPileLabel(pile) {
+    return pile.type === 'stock' && !pile.isEmpty() ? String(pile.cards.length) : null;
+  }
+
+  getLegalMoves() {
+    const s = this.state;
+    const waste = s.getPile('waste');
+    const moves = [];
+    for (const from of s.getPilesByType(this.playType)) {
+      if (this.canMove(from.cards.slice(-1), from, waste)) {
+        moves.push({ type: 'move', from, cardIndex: from.cards.length - 1, to: waste });
+      }
+    }
+    if (!s.getPile('stock').isEmpty()) moves.push({ type: 'stock' });
+    return moves;
+  }
+
+  // A new waste card may always start another chain while the stock lasts
+  isDeadEnd() {
+    if (this.isWon() || !this.state.getPile('stock').isEmpty()) return false;
+    return !hasProductiveMove(this);
+  }
+
+  isWon() {
+    return this.state.getPilesByType(this.playType).every(p => p.isEmpty());
+  }
+}
@@ -0,0 +1,63 @@
+import { KlondikeGame } from './KlondikeGame.js';
+
+/**
+ * Double Klondike: Klondike with two decks, nine columns and eight
+ * foundations, two for each suit. Draws one card with unlimited passes.
+ */
+export class DoubleKlondikeGame extends KlondikeGame {
+  constructor() {
+    super(1);
+    this.name = 'Double Klondike';
+    this.description = 'Klondike with two decks';
+    this.deckCount = 2;
+    this.columnCount = 9;
+  }
+
+  // The solver only knows single-deck Klondike
+  getSolverInput() {
+    return null;
+  }
+
+  getRules() {
+    return `<h2>Tupla-Klondike</h2>
+<h3>Tavoite</h3>
+<p>Siirrä kahden pakan kaikki 104 korttia kahdeksaan perustapiikkiin maittain järjestyksessä ässästä kuninkaaseen.</p>
+<h3>Pelialue</h3>
+<ul>
+<li><b>Varastopakka</b> (vasen yläkulma) — klikkaa nostaaksesi yhden kortin jätepinoon</li>
+<li><b>Jätepino</b> — varastosta nostetut kortit, päällimmäinen pelattavissa</li>
+<li><b>8 perustapiikkiä</b> — kaksi kutakin maata; rakenna maa kerrallaan: A, 2, 3 ... K</li>
+<li><b>9 tableau-pinoa</b> — ensimmäisessä yksi kortti, viimeisessä yhdeksän; vain päällimmäinen on aluksi kuvapuoli ylöspäin</li>
+</ul>
+<h3>Säännöt</h3>
+<ul>
+<li>Tableau-pinoissa kortit järjestetään laskevasti vuoroväreillä (esim. musta 7 → punainen 6)</li>
+<li>Vain kuningas voidaan siirtää tyhjään tableau-pinoon</li>
+<li>Korttiryhmiä voi siirtää kerralla, jos ne muodostavat oikean järjestyksen</li>
+<li>Kun kuvapuoli alaspäin oleva kortti paljastuu, se käännetään automaattisesti</li>
+<li>Kun varastopakka loppuu, jätepino kierrätetään takaisin varastoksi niin monta kertaa kuin haluat</li>
+</ul>
+<h3>Ohjaus</h3>
+<ul>
+<li><b>Raahaa</b> kortteja pinojen välillä</li>
+<li><b>Klikkaa</b> korttia siirtääksesi sen automaattisesti parhaaseen paikkaan</li>
+<li><b>Tuplaklikkaa</b> siirtääksesi kortin perustaan</li>
+</ul>`;
+  }
+
+  getBoardLayout() {
+    return {
+      stock: { col: 0, row: 0 },
+      waste: { col: 1, row: 0 },
+      foundations: [
+        { col: 2, row: 0 }, { col: 3, row: 0 },
+        { col: 4, row: 0 }, { col: 5, row: 0 },
+        { col: 6, row: 0 }, { col: 7, row: 0 },
+        { col: 8, row: 0 }, { col: 9, row: 0 }
+      ],
+      // Nine columns centred under the ten slots of the top row
+      tableau: Array.from({ length: this.columnCount }, (_, i) => ({ col: i + 0.5, row: 1 })),
+      columns: 10
+    };
+  }
+}
@@ -0,0 +1,173 @@
+import { BaseGame } from './BaseGame.js';
+import { Deck } from '../engine/Deck.js';
+import { Pile } from '../engine/Pile.js';
+
+const COLUMNS = 10;
+const CARDS_PER_COLUMN = 4;
+
+/**
+ * Forty Thieves: two decks, forty cards face up in ten columns built down
+ * by suit, eight foundations and a single pass through the stock.
+ */
+export class FortyThievesGame extends BaseGame {
+  constructor() {
+    super();
+    this.name = 'Forty Thieves';
+    this.description = 'Two decks, building down by suit';
+  }
+
+  setup() {
+    const deck = new Deck().createDecks(2).shuffle(this.createRandom());
+
+    for (let i = 0; i < COLUMNS; i++) {
+      const pile = new Pile('tableau', `tableau-${i}`);
+      for (const card of deck.deal(CARDS_PER_COLUMN)) {
+        card.faceUp = true;
+        pile.push(card);
+      }
+      this.state.addPile(pile);
+    }
+
+    for (let i = 0; i < 8; i++) {
+      this.state.addPile(new Pile('foundation', `foundation-${i}`));
+    }
+
+    const stock = new Pile('stock', 'stock');
+    for (const card of deck.cards) {
+      card.faceUp = false;
+      stock.push(card);
+    }
+    this.state.addPile(stock);
+    this.state.addPile(new Pile('waste', 'waste'));
+
+    this.state.startTime = Date.now();
+  }
+
+  canMove(cards, fromPile, toPile) {
+    if (!cards || cards.length === 0) return false;
+    if (fromPile === toPile) return false;
+    if (fromPile && fromPile.type === 'stock') return false;
+    if (!this._isValidSequence(cards)) return false;
+
+    const bottomCard = cards[0];
+
+    if (toPile.type === 'foundation') {
+      if (cards.length !== 1) return false;
+      if (toPile.isEmpty()) return bottomCard.rank === 1;
+      const top = toPile.topCard();
+      return bottomCard.suit === top.suit && bottomCard.rank === top.rank + 1;
+    }
+
+    if (toPile.type === 'tableau') {
+      // Cards move one at a time; a longer run only as far as empty
+      // columns could carry it card by card
+      if (cards.length > this._maxMovable(toPile)) return false;
+      if (toPile.isEmpty()) return true;
+      const top = toPile.topCard();
+      return bottomCard.suit === top.suit && bottomCard.rank === top.rank - 1;
+    }
+
+    return false;
+  }
+
+  _isValidSequence(cards) {
+    for (let i = 1; i < cards.length; i++) {
+      if (cards[i].suit !== cards[i - 1].suit) return false;
+      if (cards[i].rank !== cards[i - 1].rank - 1) return false;
+    }
+    return true;
+  }
+
+  _maxMovable(targetPile) {
+    const emptyTableau = this.state.getPilesByType('tableau')
+      .filter(p => p.isEmpty() && p !== targetPile).length;
+    return Math.pow(2, emptyTableau);
+  }
+
+  // No redeal: the stock is gone through once
+  onStockClick() {
+    const stock = this.state.getPile('stock');
+    if (stock.isEmpty()) return;
+    const waste = this.state.getPile('waste');
+    this.state.moveCards(stock, waste, 1);
+    this.state.flipTop(waste);
+  }
+
+  getPileLabel(pile) {
+    return pile.type === 'stock' && !pile.isEmpty() ? String(pile.cards.length) : null;
+  }
+
+  getLegalMoves() {
+    const s = this.state;
+    const tableau = s.getPilesByType('tableau');
+    const foundations = s.getPilesByType('foundation');
+    const moves = this._collectMoves(
+      [...tableau, s.getPile('waste'), ...foundations],
+      [...tableau, ...foundations]
+    );
+    if (!s.getPile('stock').isEmpty()) moves.push({ type: 'stock' });
+    return moves;
+  }
+
+  // Another card from the stock may always help
+  isDeadEnd() {
+    if (!this.state.getPile('stock').isEmpty()) return false;
+    return super.isDeadEnd();
+  }
+
+  /**
+   * With the talon used up and every column a run in suit, playing the
+   * lowest card home always finishes the game.
+   */
+  canAutoComplete() {
+    const s = this.state;
+    if (this.isWon() || !s.getPile('stock').isEmpty() || !s.getPile('waste').isEmpty()) return false;
+    return s.getPilesByType('tableau').every(p => this._isValidSequence(p.cards));
+  }
+
+  isWon() {
+    return this.state.getPilesByType('foundation')
+      .every(p => p.cards.length === 13);
+  }
+
+  getRules() {
+    return `<h2>Neljäkymmentä rosvoa</h2>
+<h3>Tavoite</h3>
+<p>Siirrä kahden pakan kaikki 104 korttia kahdeksaan perustapiikkiin maittain järjestyksessä ässästä kuninkaaseen.</p>
+<h3>Pelialue</h3>
+<ul>
+<li><b>Varastopakka</b> (vasen yläkulma) — klikkaa kääntääksesi yhden kortin jätepinoon; pakka käydään läpi vain kerran</li>
+<li><b>Jätepino</b> — päällimmäinen kortti on pelattavissa</li>
+<li><b>8 perustapiikkiä</b> — kaksi kutakin maata; rakenna maa kerrallaan: A, 2, 3 ... K</li>
+<li><b>10 tableau-pinoa</b> — neljä korttia kuvapuoli ylöspäin kussakin</li>
+</ul>
+<h3>Säännöt</h3>
+<ul>
+<li>Tableau-pinoissa kortit järjestetään laskevasti <b>samaa maata</b> (esim. pata 7 → pata 6)</li>
+<li>Kortit siirretään yksi kerrallaan; samaa maata olevan sarjan voi siirtää kerralla, jos tyhjiä pinoja on tarpeeksi sen siirtämiseen kortti kortilta</li>
+<li>Tyhjään tableau-pinoon voi siirtää minkä tahansa kortin</li>
+<li>Jätepinoa ei kierrätetä takaisin varastoksi</li>
+</ul>
+<h3>Ohjaus</h3>
+<ul>
+<li><b>Raahaa</b> kortteja pinojen välillä</li>
+<li><b>Klikkaa</b> korttia siirtääksesi sen automaattisesti parhaaseen paikkaan</li>
+<li><b>Tuplaklikkaa</b> siirtääksesi kortin perustaan</li>
+</ul>`;
+  }
+
+  getBoardLayout() {
+    return {
+      stock: { col: 0, row: 0 },
+      waste: { col: 1, row: 0 },
+      foundations: [
+        { col: 2, row: 0 }, { col: 3, row: 0 },
+        { col: 4, row: 0 }, { col: 5, row: 0 },
+        { col: 6, row: 0 }, { col: 7, row: 0 },
+        { col: 8, row: 0 }, { col: 9, row: 0 }
+      ],
+      tableau: Array.from({ length: COLUMNS }, (_, col) => ({ col, row: 1 })),
+      columns: COLUMNS
+    };
+  }
+}
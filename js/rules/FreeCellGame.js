@@ -1,16 +1,24 @@
 import { BaseGame } from './BaseGame.js';
 import { Deck } from '../engine/Deck.js';
+import { Card } from '../engine/Card.js';
 import { Pile } from '../engine/Pile.js';
+import { MAX_DEAL_NUMBER } from '../engine/Random.js';
+import { freeCellPosition } from '../solver/FreeCellSolver.js';
 
 export class FreeCellGame extends BaseGame {
-  constructor() {
+  constructor(microsoftDeals = true) {
     super();
     this.name = 'FreeCell';
     this.description = 'FreeCell-pasianssi';
+    // Deal numbers 1..1,000,000 match the classic Microsoft FreeCell numbering
+    this.microsoftDeals = microsoftDeals;
   }
 
   setup() {
-    const deck = new Deck().createStandard52().shuffle();
+    const dealNumber = this.state.dealNumber;
+    const deck = this.microsoftDeals && dealNumber >= 1 && dealNumber <= MAX_DEAL_NUMBER
+      ? this._microsoftDeck(dealNumber)
+      : new Deck().createStandard52().shuffle(this.createRandom());
 
     // 8 tableau piles: first 4 get 7 cards, last 4 get 6 cards
     for (let i = 0; i < 8; i++) {
@@ -37,6 +45,38 @@ export class FreeCellGame extends BaseGame {
     this.state.startTime = Date.now();
   }
 
+  /**
+   * Build the deck for Microsoft FreeCell deal N using its LCG
+   * (seed = seed * 214013 + 2531011 mod 2^31, rand = seed >> 16).
+   * Cards are dealt round-robin across the 8 columns; the returned deck is
+   * reordered column by column so setup() can deal it pile by pile.
+   */
+  _microsoftDeck(dealNumber) {
+    const suits = ['clubs', 'diamonds', 'hearts', 'spades'];
+    const cards = [];
+    for (let i = 0; i < 52; i++) {
+      cards.push(new Card(suits[i % 4], Math.floor(i / 4) + 1));
+    }
+
+    let seed = dealNumber;
+    const rand = () => {
+      seed = (seed * 214013 + 2531011) % 2147483648;
+      return Math.floor(seed / 65536);
+    };
+
+    const columns = Array.from({ length: 8 }, () => []);
+    for (let i = 0; i < 52; i++) {
+      const left = 52 - i;
+      const j = rand() % left;
+      columns[i % 8].push(cards[j]);
+      cards[j] = cards[left - 1];
+    }
+
+    const deck = new Deck();
+    deck.cards = columns.flat();
+    return deck;
+  }
+
   canMove(cards, fromPile, toPile) {
     if (!cards || cards.length === 0) return false;
     if (fromPile === toPile) return false;
@@ -86,6 +126,22 @@ export class FreeCellGame extends BaseGame {
     // No card flipping needed — all cards are always face up in FreeCell
   }
 
+  getLegalMoves() {
+    const s = this.state;
+    const tableau = s.getPilesByType('tableau');
+    const freecells = s.getPilesByType('freecell');
+    const foundations = s.getPilesByType('foundation');
+    // canMove() applies the supermove limit to tableau sequences
+    return this._collectMoves(
+      [...tableau, ...freecells, ...foundations],
+      [...tableau, ...freecells, ...foundations]
+    );
+  }
+
+  getSolverInput() {
+    return { kind: 'freecell', position: freeCellPosition(this.state) };
+  }
+
   isWon() {
     return this.state.getPilesByType('foundation')
       .every(p => p.cards.length === 13);
@@ -109,6 +165,8 @@ export class FreeCellGame extends BaseGame {
 <li>Korttiryhmiä voi siirtää kerralla, jos vapaita soluja ja tyhjiä tableau-pinoja on tarpeeksi</li>
 <li>Siirrettävien korttien enimmäismäärä = (1 + vapaat solut) × 2<sup>tyhjät tableau-pinot</sup></li>
 </ul>
+<h3>Jaon numero</h3>
+<p>Jaot 1–1 000 000 vastaavat klassisen Microsoft FreeCellin numerointia. Esimerkiksi jako #11982 on tunnetusti mahdoton ratkaista.</p>
 <h3>Ohjaus</h3>
 <ul>
 <li><b>Raahaa</b> kortteja pinojen, solujen ja perustojen välillä</li>
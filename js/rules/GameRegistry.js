@@ -1,17 +1,58 @@
 import { KlondikeGame } from './KlondikeGame.js';
 import { SpiderGame } from './SpiderGame.js';
 import { FreeCellGame } from './FreeCellGame.js';
+import { YukonGame } from './YukonGame.js';
+import { PyramidGame } from './PyramidGame.js';
+import { TriPeaksGame } from './TriPeaksGame.js';
+import { GolfGame } from './GolfGame.js';
+import { FortyThievesGame } from './FortyThievesGame.js';
+import { DoubleKlondikeGame } from './DoubleKlondikeGame.js';
+import { CanfieldGame } from './CanfieldGame.js';
+import { randomDealNumber } from '../engine/Random.js';
+
+// Selectable variant options. Each becomes a setting in the menu; the first
+// choice is the default. Chosen values are passed to create() and saved.
+const klondikeOptions = [
+  {
+    id: 'scoring',
+    label: 'Klondiken pisteytys',
+    choices: [
+      { value: 'none', label: 'Ei' },
+      { value: 'standard', label: 'Normaali' },
+      { value: 'vegas', label: 'Vegas' }
+    ]
+  },
+  {
+    id: 'passes',
+    label: 'Klondiken kierrokset',
+    choices: [
+      { value: 'unlimited', label: 'Rajaton' },
+      { value: '3', label: '3' },
+      { value: '1', label: '1' }
+    ]
+  },
+  {
+    id: 'thoughtful',
+    label: 'Avoin Klondike',
+    choices: [
+      { value: 'off', label: 'Ei' },
+      { value: 'on', label: 'Kyllä' }
+    ]
+  }
+];
 
 const games = {
   'klondike': {
     name: 'Klondike',
     description: 'Klassinen pasianssi - nostetaan yksi kerrallaan',
-    create: () => new KlondikeGame(1)
+    options: klondikeOptions,
+    create: (options) => new KlondikeGame(1, options)
   },
   'klondike-draw3': {
     name: 'Klondike, nosto 3',
     description: 'Klassinen pasianssi - nostetaan kolme kerrallan',
-    create: () => new KlondikeGame(3)
+    options: klondikeOptions,
+    create: (options) => new KlondikeGame(3, options)
   },
   'spider-1': {
     name: 'Spider 1',
@@ -32,14 +73,71 @@ const games = {
     name: 'FreeCell',
     description: 'FreeCell-pasianssi',
     create: () => new FreeCellGame()
+  },
+  'yukon': {
+    name: 'Yukon',
+    description: 'Ei varastopakkaa - minkä tahansa avoimen kortin voi siirtää päällisineen',
+    create: () => new YukonGame()
+  },
+  'russian': {
+    name: 'Venäläinen pasianssi',
+    description: 'Yukon, jossa rakennetaan maittain',
+    create: () => new YukonGame(true)
+  },
+  'pyramid': {
+    name: 'Pyramidi',
+    description: 'Poista kortit pareittain, joiden summa on 13',
+    create: () => new PyramidGame()
+  },
+  'tripeaks': {
+    name: 'TriPeaks',
+    description: 'Pelaa kolme huippua jätepinoon yhtä suuremmilla tai pienemmillä korteilla',
+    create: () => new TriPeaksGame()
+  },
+  'golf': {
+    name: 'Golf',
+    description: 'Pelaa pinot jätepinoon yhtä suuremmilla tai pienemmillä korteilla',
+    create: () => new GolfGame()
+  },
+  'forty-thieves': {
+    name: 'Neljäkymmentä rosvoa',
+    description: 'Kaksi pakkaa, rakennetaan maittain',
+    create: () => new FortyThievesGame()
+  },
+  'double-klondike': {
+    name: 'Tupla-Klondike',
+    description: 'Klondike kahdella pakalla',
+    create: () => new DoubleKlondikeGame()
+  },
+  'canfield': {
+    name: 'Canfield',
+    description: 'Pelaa 13 kortin reservi tyhjäksi, perustat alkavat pohjakortista',
+    create: () => new CanfieldGame()
   }
 };
 
-export function createGame(id) {
+/**
+ * The variant's options with unknown or missing values replaced by defaults.
+ */
+function resolveOptions(entry, options) {
+  const resolved = {};
+  for (const option of entry.options || []) {
+    const value = options[option.id];
+    resolved[option.id] = option.choices.some(c => c.value === value) ? value : option.choices[0].value;
+  }
+  return resolved;
+}
+
+export function createGame(id, dealNumber = randomDealNumber(), options = {}) {
   const entry = games[id];
   if (!entry) throw new Error(`Unknown game: ${id}`);
-  const game = entry.create();
+  const resolved = resolveOptions(entry, options);
+  const game = entry.create(resolved);
+  game.id = id;
+  game.options = resolved;
+  game.state.dealNumber = dealNumber;
   game.setup();
+  game.state.resetHistory();
   return game;
 }
 
@@ -47,6 +145,7 @@ export function getGameList() {
   return Object.entries(games).map(([id, info]) => ({
     id,
     name: info.name,
-    description: info.description
+    description: info.description,
+    options: info.options || []
   }));
 }
@@ -0,0 +1,72 @@
+import { ChainGame } from './ChainGame.js';
+import { Deck } from '../engine/Deck.js';
+import { Pile } from '../engine/Pile.js';
+
+const COLUMNS = 7;
+const CARDS_PER_COLUMN = 5;
+
+/**
+ * Golf: seven open columns of five cards, played from the bottom card of
+ * each column onto the waste. The ranks do not wrap around.
+ */
+export class GolfGame extends ChainGame {
+  constructor() {
+    super();
+    this.name = 'Golf';
+    this.description = 'Play the columns onto the waste in chains';
+  }
+
+  setup() {
+    const deck = new Deck().createStandard52().shuffle(this.createRandom());
+
+    for (let i = 0; i < COLUMNS; i++) {
+      const pile = new Pile('tableau', `tableau-${i}`);
+      for (const card of deck.deal(CARDS_PER_COLUMN)) {
+        card.faceUp = true;
+        pile.push(card);
+      }
+      this.state.addPile(pile);
+    }
+
+    this.state.addPile(new Pile('stock', 'stock'));
+    this.state.addPile(new Pile('waste', 'waste'));
+    this._dealStock(deck.cards);
+
+    this.state.startTime = Date.now();
+  }
+
+  getRules() {
+    return `<h2>Golf</h2>
+<h3>Tavoite</h3>
+<p>Pelaa kaikki seitsemän pinon 35 korttia jätepinoon.</p>
+<h3>Pelialue</h3>
+<ul>
+<li><b>7 pinoa</b> — viisi korttia kuvapuoli ylöspäin; vain pinon päällimmäinen kortti on pelattavissa</li>
+<li><b>Varastopakka</b> — klikkaa kääntääksesi uuden kortin jätepinoon; pakka käydään läpi vain kerran</li>
+<li><b>Jätepino</b> — kortit pelataan sen päälle</li>
+</ul>
+<h3>Säännöt</h3>
+<ul>
+<li>Kortin voi pelata jätepinoon, jos se on arvoltaan <b>yhtä suurempi tai pienempi</b> kuin jätepinon päällimmäinen kortti, maasta riippumatta</li>
+<li>Kuningas ja ässä eivät ole vierekkäisiä</li>
+</ul>
+<h3>Pisteet</h3>
+<ul>
+<li>Jokainen putken kortti tuottaa pisteen enemmän kuin edellinen: 1, 2, 3 ...</li>
+<li>Putki katkeaa, kun varastopakasta käännetään kortti</li>
+</ul>
+<h3>Ohjaus</h3>
+<ul>
+<li><b>Napauta</b> pinoa pelataksesi sen päällimmäisen kortin jätepinoon</li>
+</ul>`;
+  }
+
+  getBoardLayout() {
+    return {
+      stock: { col: 0, row: 0 },
+      waste: { col: 1, row: 0 },
+      tableau: Array.from({ length: COLUMNS }, (_, col) => ({ col, row: 1 })),
+      columns: COLUMNS
+    };
+  }
+}
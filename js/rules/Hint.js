@@ -0,0 +1,126 @@
+import { Pile } from '../engine/Pile.js';
+
+/**
+ * Ranks the game's legal moves for the Hint button, best first.
+ * Moves that gain nothing — relocating a whole pile to an empty column,
+ * or lifting a card off a card it is already correctly built on — are left out.
+ */
+export function rankHints(game) {
+  return withoutEquivalentTargets(game.getLegalMoves())
+    .map(move => ({ move, score: scoreMove(game, move) }))
+    .filter(h => h.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(h => h.move);
+}
+
+/**
+ * Whether any card move still makes progress. Stock clicks don't count
+ * (rules that have a stock look through it themselves), and a card taken
+ * back off a foundation only counts if it opens up some other move. A
+ * move the hints pass over, such as splitting a built run, counts if it
+ * lets a card go home or turns one over.
+ */
+export function hasProductiveMove(game) {
+  const moves = withoutEquivalentTargets(game.getLegalMoves()).filter(m => m.type === 'move');
+  const scored = moves.filter(m => scoreMove(game, m) > 0);
+  if (scored.some(m => m.from.type !== 'foundation')) return true;
+
+  const state = game.state;
+  const opensUp = moves.some(m => m.from.type !== 'foundation' && !scored.includes(m) &&
+    state.probe(() => {
+      state.moveCards(m.from, m.to, m.from.cards.length - m.cardIndex);
+      const exposed = m.from.topCard();
+      return (exposed && !exposed.faceUp) ||
+        game.getLegalMoves().some(next => next.type === 'move' && next.to.type === 'foundation');
+    }));
+  if (opensUp) return true;
+
+  return scored.some(m => state.probe(() => {
+    const card = m.from.topCard();
+    state.moveCards(m.from, m.to, 1);
+    return rankHints(game).some(next =>
+      next.type === 'move' && next.from.type !== 'foundation' &&
+      next.from.cards[next.cardIndex] !== card);
+  }));
+}
+
+/**
+ * Empty piles of the same type are interchangeable targets; keep only
+ * the first one so the Hint button doesn't cycle through four free cells.
+ */
+function withoutEquivalentTargets(moves) {
+  const seen = new Set();
+  return moves.filter(move => {
+    if (move.type !== 'move' || !move.to.isEmpty()) return true;
+    const key = `${move.from.id}:${move.cardIndex}:${move.to.type}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function scoreMove(game, move) {
+  // Drawing from the stock is always possible but only the last resort
+  if (move.type === 'stock') return 1;
+  // Pairs taken from the pyramid open up more cards than waste pairs
+  if (move.type === 'pair') return 100 + [move.from, move.to].filter(p => p.type !== 'waste').length;
+
+  const { from, cardIndex, to } = move;
+  const cards = from.cards.slice(cardIndex);
+  const card = cards[0];
+  const below = cardIndex > 0 ? from.cards[cardIndex - 1] : null;
+
+  if (from.type === 'foundation') return to.type === 'tableau' ? 2 : 0;
+  // Chains onto the waste: prefer cards that free others
+  if (to.type === 'waste') return 50 + freedPiles(game, from, to);
+  if (to.type === 'foundation') return 100 + (13 - card.rank);
+
+  let score = 0;
+
+  if (below && !below.faceUp) {
+    // Reveals a hidden card; prefer piles with more hidden cards left
+    score += 50 + from.cards.filter(c => !c.faceUp).length;
+  } else if (!below && from.type === 'tableau') {
+    if (to.isEmpty()) return 0;
+    score += 30;
+  } else if (below && from.type === 'tableau' && isBuiltOn(game, cards, from, below)) {
+    // Already in sequence: only worth it if the new spot is a same-suit build
+    const top = to.topCard();
+    return top && top.suit === card.suit && below.suit !== card.suit ? 25 : 0;
+  }
+
+  if (to.type === 'freecell') return from.type === 'tableau' ? score + 1 : 0;
+  // Playing off the reserve is what Canfield is won by
+  if (from.type === 'reserve') score += 30;
+
+  if (from.type === 'waste' || from.type === 'freecell') score += 20;
+  if (to.isEmpty()) {
+    score += 5;
+  } else {
+    score += 10;
+    if (to.topCard().suit === card.suit) score += 5;
+  }
+  return score;
+}
+
+// How many more piles have a free card once `from`'s top card is played
+function freedPiles(game, from, to) {
+  const state = game.state;
+  const free = () => state.getPilesByType(from.type).filter(p => game.isAvailable(p)).length;
+  const before = free();
+  return state.probe(() => {
+    state.moveCards(from, to, 1);
+    return Math.max(0, free() - before + 1);
+  });
+}
+
+/**
+ * Whether `cards` could legally be placed on `below` — i.e. they already
+ * sit in a valid build and moving them elsewhere is a sideways shuffle.
+ */
+function isBuiltOn(game, cards, from, below) {
+  if (!below.faceUp) return false;
+  const probe = new Pile('tableau', '_probe');
+  probe.push(below);
+  return game.canMove(cards, from, probe);
+}
@@ -1,37 +1,60 @@
 import { BaseGame } from './BaseGame.js';
 import { Deck } from '../engine/Deck.js';
 import { Pile } from '../engine/Pile.js';
+import { klondikePosition } from '../solver/KlondikeSolver.js';
+
+// Standard scoring, as in the classic Windows game
+const STANDARD_POINTS = {
+  wasteToTableau: 5,
+  toFoundation: 10,
+  flip: 5,
+  foundationToTableau: -15
+};
+// Recycling the waste costs more when drawing one card at a time
+const STANDARD_RECYCLE_PENALTY = { 1: -100, 3: -20 };
+
+const VEGAS_BUY_IN = -52;
+const VEGAS_PER_CARD = 5;
 
 export class KlondikeGame extends BaseGame {
-  constructor(drawCount = 1) {
+  constructor(drawCount = 1, options = {}) {
     super();
     this.name = 'Klondike';
     this.description = 'Classic solitaire';
     this.drawCount = drawCount;
+    this.scoring = options.scoring || 'none';
+    // Passes through the stock; Infinity = recycle as often as you like
+    this.maxPasses = options.passes && options.passes !== 'unlimited' ? Number(options.passes) : Infinity;
+    // Thoughtful Solitaire: every card is dealt face up
+    this.thoughtful = options.thoughtful === 'on';
+    // Double Klondike plays with two decks and nine columns
+    this.deckCount = 1;
+    this.columnCount = 7;
   }
 
   setup() {
-    const deck = new Deck().createStandard52().shuffle();
+    const deck = new Deck().createDecks(this.deckCount).shuffle(this.createRandom());
 
-    // 7 tableau piles
-    for (let i = 0; i < 7; i++) {
+    // Tableau piles of 1, 2, 3 ... cards
+    for (let i = 0; i < this.columnCount; i++) {
       const pile = new Pile('tableau', `tableau-${i}`);
       const cards = deck.deal(i + 1);
       cards.forEach((card, j) => {
-        card.faceUp = (j === cards.length - 1);
+        card.faceUp = this.thoughtful || j === cards.length - 1;
         pile.push(card);
       });
       this.state.addPile(pile);
     }
 
-    // 4 foundation piles
-    for (let i = 0; i < 4; i++) {
+    // 4 foundation piles per deck
+    for (let i = 0; i < 4 * this.deckCount; i++) {
       this.state.addPile(new Pile('foundation', `foundation-${i}`));
     }
 
     // Stock pile (remaining cards)
     const stock = new Pile('stock', 'stock');
     for (const card of deck.cards) {
+      card.faceUp = this.thoughtful;
       stock.push(card);
     }
     this.state.addPile(stock);
@@ -39,12 +62,16 @@ export class KlondikeGame extends BaseGame {
     // Waste pile
     this.state.addPile(new Pile('waste', 'waste'));
 
+    this.state.score = this.scoring === 'vegas' ? VEGAS_BUY_IN : 0;
     this.state.startTime = Date.now();
   }
 
   canMove(cards, fromPile, toPile) {
     if (!cards || cards.length === 0) return false;
     if (fromPile === toPile) return false;
+    if (fromPile && fromPile.type === 'stock') return false;
+    // Face-up cards are always in sequence, except in Thoughtful games
+    if (!this._isValidSequence(cards)) return false;
 
     const bottomCard = cards[0];
 
@@ -69,37 +96,138 @@ export class KlondikeGame extends BaseGame {
   }
 
   onMove(cards, fromPile, toPile) {
+    this._scoreMove(fromPile, toPile);
     // Flip the top card of the source tableau pile if it's face-down
     if (fromPile && fromPile.type === 'tableau' && !fromPile.isEmpty()) {
-      const topCard = fromPile.topCard();
-      if (!topCard.faceUp) {
-        topCard.faceUp = true;
+      if (!fromPile.topCard().faceUp) {
+        this.state.flipTop(fromPile);
+        if (this.scoring === 'standard') this._addScore(STANDARD_POINTS.flip);
       }
     }
   }
 
-  onStockClick() {
+  _isValidSequence(cards) {
+    for (let i = 1; i < cards.length; i++) {
+      const prev = cards[i - 1];
+      const card = cards[i];
+      if (card.color === prev.color || card.rank !== prev.rank - 1) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Whether the waste may still be turned back into the stock.
+   */
+  canRedeal() {
+    return this.state.redeals < this.maxPasses - 1;
+  }
+
+  _scoreMove(fromPile, toPile) {
+    if (!fromPile || !toPile) return;
+    // An ace moved between empty foundations earns nothing
+    if (fromPile.type === 'foundation' && toPile.type === 'foundation') return;
+    if (this.scoring === 'standard') {
+      if (toPile.type === 'foundation') {
+        this._addScore(STANDARD_POINTS.toFoundation);
+      } else if (fromPile.type === 'waste') {
+        this._addScore(STANDARD_POINTS.wasteToTableau);
+      } else if (fromPile.type === 'foundation') {
+        this._addScore(STANDARD_POINTS.foundationToTableau);
+      }
+    } else if (this.scoring === 'vegas') {
+      if (toPile.type === 'foundation') this._addScore(VEGAS_PER_CARD);
+      else if (fromPile.type === 'foundation') this._addScore(-VEGAS_PER_CARD);
+    }
+  }
+
+  /**
+   * Standard scores never go below zero; the delta actually applied is
+   * what gets recorded, so undo restores the exact previous score.
+   */
+  _addScore(delta) {
+    if (this.scoring === 'standard') delta = Math.max(delta, -this.state.score);
+    this.state.addScore(delta);
+  }
+
+  onStockClick({ autoComplete = false } = {}) {
     const stock = this.state.getPile('stock');
     const waste = this.state.getPile('waste');
 
     if (stock.isEmpty()) {
       // Recycle waste back to stock
+      if (waste.isEmpty() || !this.canRedeal()) return;
       while (!waste.isEmpty()) {
-        const card = waste.pop();
-        card.faceUp = false;
-        stock.push(card);
+        this.state.moveCards(waste, stock, 1);
+        if (!this.thoughtful) this.state.flipTop(stock);
+      }
+      this.state.countRedeal();
+      // Auto-complete going round to reach the last cards is not penalised
+      if (this.scoring === 'standard' && !autoComplete) {
+        this._addScore(STANDARD_RECYCLE_PENALTY[this.drawCount] ?? STANDARD_RECYCLE_PENALTY[3]);
       }
     } else {
       // Draw cards from stock to waste
       const count = Math.min(this.drawCount, stock.cards.length);
       for (let i = 0; i < count; i++) {
-        const card = stock.pop();
-        card.faceUp = true;
-        waste.push(card);
+        this.state.moveCards(stock, waste, 1);
+        if (!this.thoughtful) this.state.flipTop(waste);
       }
     }
   }
 
+  getPileLabel(pile) {
+    if (pile.type !== 'stock' || this.maxPasses === Infinity) return null;
+    return `${this.state.redeals + 1}/${this.maxPasses}`;
+  }
+
+  getSolverInput() {
+    // The solver assumes the waste can be recycled without limit
+    if (this.maxPasses !== Infinity) return null;
+    return { kind: 'klondike', position: klondikePosition(this.state, this.drawCount) };
+  }
+
+  getLegalMoves() {
+    const s = this.state;
+    const tableau = s.getPilesByType('tableau');
+    const foundations = s.getPilesByType('foundation');
+    const moves = this._collectMoves(
+      [...tableau, s.getPile('waste'), ...foundations],
+      [...tableau, ...foundations]
+    );
+    if (!s.getPile('stock').isEmpty() || (!s.getPile('waste').isEmpty() && this.canRedeal())) {
+      moves.push({ type: 'stock' });
+    }
+    return moves;
+  }
+
+  /**
+   * Once the stock is empty and every tableau card is face up, the game
+   * can always be finished by playing the lowest card home. Drawing three
+   * keeps the talon in the same groups every pass, so there a buried waste
+   * card could stay out of reach; wait until at most one is left. The
+   * same goes for a limited number of passes.
+   */
+  canAutoComplete() {
+    if (this.isWon() || !this.state.getPile('stock').isEmpty()) return false;
+    const limited = this.drawCount > 1 || this.maxPasses !== Infinity;
+    if (limited && this.state.getPile('waste').cards.length > 1) return false;
+    return this.state.getPilesByType('tableau')
+      .every(p => p.cards.every(c => c.faceUp) && this._isValidSequence(p.cards));
+  }
+
+  getAutoCompleteMove() {
+    const s = this.state;
+    const move = this._moveHome([...s.getPilesByType('tableau'), s.getPile('waste')]);
+    if (move) return move;
+    // Nothing playable: go through the talon to reach the next card
+    if (!s.getPile('stock').isEmpty() || !s.getPile('waste').isEmpty()) return { type: 'stock' };
+    return null;
+  }
+
+  isDeadEnd() {
+    return this._isDeadEndThroughStock();
+  }
+
   isWon() {
     return this.state.getPilesByType('foundation')
       .every(p => p.cards.length === 13);
@@ -129,7 +257,19 @@ export class KlondikeGame extends BaseGame {
 <li><b>Raahaa</b> kortteja pinojen välillä</li>
 <li><b>Klikkaa</b> korttia siirtääksesi sen automaattisesti parhaaseen paikkaan</li>
 <li><b>Tuplaklikkaa</b> siirtääksesi kortin perustaan</li>
-</ul>`;
+</ul>
+<h3>Voitettavat jaot</h3>
+<p>Kun valikon asetus <b>Vain voitettavat jaot</b> on päällä, ratkaisija etsii jaon, joka on todistetusti voitettavissa. Jos aika loppuu kesken, peli merkitään tekstillä <b>Ei varmistettu</b>.</p>
+<h3>Kierrokset ja avoin peli</h3>
+<p>Valikosta voi rajata, kuinka monta kertaa varastopakan saa käydä läpi: rajattomasti, 3 kertaa tai kerran. Rajoitettu kierrosmäärä näkyy varastopakan päällä, esim. <b>2/3</b>.</p>
+<p><b>Avoimessa Klondikessa</b> (Thoughtful) kaikki kortit jaetaan kuvapuoli ylöspäin. Pinoissa saa siirtää vain oikeassa järjestyksessä olevia kortteja.</p>
+<h3>Pisteytys</h3>
+<p>Pisteytyksen voi valita valikosta. Valinta koskee seuraavaa peliä.</p>
+<ul>
+<li><b>Normaali</b> — +10 korttia kohden perustaan, +5 jätepinosta tableauhun, +5 käännetystä kortista, −15 perustasta takaisin tableauhun. Jätepinon kierrätys maksaa ${this.drawCount === 1 ? '100' : '20'} pistettä. Pisteet eivät mene alle nollan.</li>
+<li><b>Vegas</b> — peli maksaa 52 $, ja jokainen perustaan siirretty kortti tuottaa 5 $. Kertyvä kassa laskee tulokset yhteen pelistä toiseen.</li>
+</ul>
+<p>Peruminen palauttaa myös pisteet.</p>`;
   }
 
   getBoardLayout() {
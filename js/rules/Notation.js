@@ -0,0 +1,313 @@
+import { createGame, getGameList } from './GameRegistry.js';
+
+/*
+ * Text notation for a deal and its moves, in the spirit of chess PGN:
+ *
+ *   [Variant "klondike"]
+ *   [Deal "123"]
+ *   [Options "scoring=none passes=unlimited thoughtful=off"]
+ *
+ *   T1: 7S
+ *   T2: kh 4D
+ *   ...
+ *
+ *   1. T4-F1 2. S 3. W-T2 4. T2-T5x3
+ *
+ * Cards are rank (A 2-9 T J Q K) + suit (S H D C); face-down cards are
+ * written in lower case. Piles are T (tableau), F (foundation), C (free
+ * cell), R (reserve), P (pyramid) and K (TriPeaks peak) numbered from 1,
+ * plus S (stock) and W (waste). A move is "from-to", with "xN" when N
+ * cards move together; a lone "S" is a click on the stock ("S*" when
+ * auto-complete made it, which costs no recycle penalty), and "P22+W"
+ * removes a pair.
+ */
+
+const RANKS = { 1: 'A', 10: 'T', 11: 'J', 12: 'Q', 13: 'K' };
+const SUITS = { spades: 'S', hearts: 'H', diamonds: 'D', clubs: 'C' };
+const PILE_PREFIX = { tableau: 'T', foundation: 'F', freecell: 'C', reserve: 'R', pyramid: 'P', peak: 'K' };
+const SINGLE_PILES = { stock: 'S', waste: 'W' };
+
+/**
+ * Invalid notation. The message is meant for the player.
+ */
+export class NotationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotationError';
+  }
+}
+
+function cardCode(card) {
+  const code = (RANKS[card.rank] || String(card.rank)) + SUITS[card.suit];
+  return card.faceUp ? code : code.toLowerCase();
+}
+
+function parseCard(token) {
+  const m = /^([a2-9tjqk])([shdc])$/i.exec(token);
+  if (!m) throw new NotationError(`Tuntematon kortti "${token}"`);
+  const rankChar = m[1].toUpperCase();
+  const rank = Number(Object.keys(RANKS).find(r => RANKS[r] === rankChar)) || Number(rankChar);
+  const suit = Object.keys(SUITS).find(s => SUITS[s] === m[2].toUpperCase());
+  // The suit letter's case tells whether the card is face up
+  return { rank, suit, faceUp: m[2] === m[2].toUpperCase() };
+}
+
+function pileCode(pile) {
+  if (SINGLE_PILES[pile.id]) return SINGLE_PILES[pile.id];
+  const m = /-(\d+)$/.exec(pile.id);
+  const prefix = PILE_PREFIX[pile.type];
+  return prefix && m ? `${prefix}${Number(m[1]) + 1}` : pile.id;
+}
+
+function pileCodes(state) {
+  return new Map(state.getAllPiles().map(p => [pileCode(p), p]));
+}
+
+/**
+ * The moves that lead from the deal to the current position: the log with
+ * undone commands taken out.
+ */
+function effectiveCommands(log) {
+  const commands = [];
+  for (const entry of log) {
+    if (entry.type === 'undo') commands.pop();
+    else if (entry.type === 'redo') commands.push({ type: entry.command, ops: entry.ops });
+    else commands.push(entry);
+  }
+  return commands;
+}
+
+function moveToken(command, codes) {
+  if (command.type === 'stock') return 'S';
+  if (command.type === 'autostock') return 'S*';
+  if (command.type === 'pair') {
+    const [first, second] = command.ops.filter(o => o.op === 'move');
+    return `${codes.get(first.from)}+${codes.get(second.from)}`;
+  }
+  const op = command.ops.find(o => o.op === 'move');
+  const from = codes.get(op.from);
+  const to = codes.get(op.to);
+  return op.count > 1 ? `${from}-${to}x${op.count}` : `${from}-${to}`;
+}
+
+/**
+ * Notation for a game: its deal as dealt and the moves played since.
+ */
+export function exportGame(game) {
+  const state = game.state;
+  if (!state.log || state.dealNumber == null) {
+    throw new NotationError('Pelin alkua ei tunneta, joten sitä ei voi viedä.');
+  }
+
+  const deal = createGame(game.id, state.dealNumber, game.options);
+  const codes = new Map(state.getAllPiles().map(p => [p.id, pileCode(p)]));
+
+  const options = Object.entries(game.options).map(([k, v]) => `${k}=${v}`).join(' ');
+  const lines = [
+    `[Variant "${game.id}"]`,
+    `[Deal "${state.dealNumber}"]`
+  ];
+  if (options) lines.push(`[Options "${options}"]`);
+  lines.push(`[Result "${state.won ? 'won' : '*'}"]`, '');
+
+  for (const pile of deal.state.getAllPiles()) {
+    lines.push(`${pileCode(pile)}:${pile.cards.map(c => ' ' + cardCode(c)).join('')}`);
+  }
+  lines.push('');
+
+  const moves = effectiveCommands(state.log).map((command, i) => `${i + 1}. ${moveToken(command, codes)}`);
+  // Keep lines readable: ten moves per line
+  for (let i = 0; i < moves.length; i += 10) lines.push(moves.slice(i, i + 10).join(' '));
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Split notation text into headers, pile layout and move tokens.
+ */
+export function parseNotation(text) {
+  const headers = {};
+  const layout = new Map();
+  const moves = [];
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line) return;
+    const where = `Rivi ${i + 1}`;
+
+    const header = /^\[(\w+)\s+"([^"]*)"\]$/.exec(line);
+    if (header) {
+      headers[header[1]] = header[2];
+      return;
+    }
+    if (line.startsWith('[')) throw new NotationError(`${where}: virheellinen otsikkorivi`);
+
+    const pile = /^([A-Za-z]+\d*):(.*)$/.exec(line);
+    if (pile) {
+      const code = pile[1].toUpperCase();
+      if (layout.has(code)) throw new NotationError(`${where}: pino ${code} on jo annettu`);
+      const tokens = pile[2].trim() ? pile[2].trim().split(/\s+/) : [];
+      try {
+        layout.set(code, tokens.map(parseCard));
+      } catch (e) {
+        throw new NotationError(`${where}: ${e.message}`);
+      }
+      return;
+    }
+
+    for (const token of line.split(/\s+/)) {
+      if (/^\d+\.$/.test(token)) continue; // move number
+      moves.push(token);
+    }
+  });
+
+  return { headers, layout, moves };
+}
+
+function parseOptions(text) {
+  const options = {};
+  for (const pair of (text || '').split(/\s+/).filter(Boolean)) {
+    const [key, value] = pair.split('=');
+    if (!key || value === undefined) throw new NotationError(`Virheellinen asetus "${pair}"`);
+    options[key] = value;
+  }
+  return options;
+}
+
+/**
+ * Check the layout against the shape setup() deals for the variant: the
+ * same piles, as many cards in each with the same ones face down, and
+ * exactly the variant's cards.
+ */
+function validateLayout(layout, game) {
+  const codes = pileCodes(game.state);
+
+  for (const code of layout.keys()) {
+    if (!codes.has(code)) throw new NotationError(`Pelissä ei ole pinoa ${code}`);
+  }
+
+  const counts = new Map();
+  const names = new Map();
+  const key = c => {
+    const k = `${c.rank}${c.suit}`;
+    names.set(k, cardCode({ ...c, faceUp: true }));
+    return k;
+  };
+  for (const [code, pile] of codes) {
+    const cards = layout.get(code);
+    if (!cards) throw new NotationError(`Pino ${code} puuttuu`);
+    if (cards.length !== pile.cards.length) {
+      throw new NotationError(`Pinossa ${code} pitää olla ${pile.cards.length} korttia, nyt ${cards.length}`);
+    }
+    cards.forEach((card, i) => {
+      if (card.faceUp !== pile.cards[i].faceUp) {
+        throw new NotationError(`Pinon ${code} kortti ${i + 1} on väärin päin`);
+      }
+    });
+    for (const card of pile.cards) counts.set(key(card), (counts.get(key(card)) || 0) + 1);
+    for (const card of cards) counts.set(key(card), (counts.get(key(card)) || 0) - 1);
+  }
+
+  for (const [card, diff] of counts) {
+    if (diff === 0) continue;
+    const name = names.get(card);
+    throw new NotationError(diff > 0 ? `Kortti ${name} puuttuu` : `Korttia ${name} on liikaa`);
+  }
+}
+
+function playMove(game, token, number) {
+  const state = game.state;
+  const where = `Siirto ${number} (${token})`;
+
+  if (token.toUpperCase() === 'S' || token.toUpperCase() === 'S*') {
+    const autoComplete = token.endsWith('*');
+    state.beginCommand(autoComplete ? 'autostock' : 'stock');
+    game.onStockClick({ autoComplete });
+    if (!state.endCommand()) throw new NotationError(`${where}: pakasta ei voi nostaa`);
+    return;
+  }
+
+  const codes = pileCodes(state);
+
+  const pair = /^([A-Za-z]+\d*)\+([A-Za-z]+\d*)$/.exec(token);
+  if (pair) {
+    const first = codes.get(pair[1].toUpperCase());
+    const second = codes.get(pair[2].toUpperCase());
+    if (!first || !second) throw new NotationError(`${where}: tuntematon pino`);
+    if (!game.canRemovePair(first, second)) throw new NotationError(`${where}: siirto ei ole sääntöjen mukainen`);
+    state.beginCommand('pair');
+    game.removePair(first, second);
+    state.endCommand();
+    return;
+  }
+
+  const m = /^([A-Za-z]+\d*)-([A-Za-z]+\d*)(?:x(\d+))?$/i.exec(token);
+  if (!m) throw new NotationError(`${where}: tuntematon siirto`);
+  const from = codes.get(m[1].toUpperCase());
+  const to = codes.get(m[2].toUpperCase());
+  if (!from || !to) throw new NotationError(`${where}: tuntematon pino`);
+  const count = m[3] ? Number(m[3]) : 1;
+  const cards = from.cards.slice(-count);
+  if (count < 1 || cards.length !== count || cards.some(c => !c.faceUp) || !game.canMove(cards, from, to)) {
+    throw new NotationError(`${where}: siirto ei ole sääntöjen mukainen`);
+  }
+
+  state.beginCommand('move');
+  state.moveCards(from, to, count);
+  game.onMove(cards, from, to);
+  state.endCommand();
+}
+
+/**
+ * Build a game from notation, validating the layout and every move.
+ * Throws NotationError with a message for the player.
+ */
+export function importGame(text) {
+  const { headers, layout, moves } = parseNotation(text);
+
+  const gameId = headers.Variant;
+  if (!gameId) throw new NotationError('Otsikko [Variant] puuttuu');
+  if (!getGameList().some(g => g.id === gameId)) throw new NotationError(`Tuntematon peli "${gameId}"`);
+
+  let dealNumber = null;
+  if (headers.Deal !== undefined) {
+    dealNumber = Number(headers.Deal);
+    if (!Number.isInteger(dealNumber) || dealNumber < 1) throw new NotationError('Virheellinen jaon numero');
+  }
+
+  const game = createGame(gameId, dealNumber ?? undefined, parseOptions(headers.Options));
+  const state = game.state;
+
+  if (layout.size > 0) {
+    validateLayout(layout, game);
+    const asDealt = state.snapshot();
+    // Reuse the dealt Card objects so the result has exactly one of each
+    const pool = new Map();
+    for (const pile of state.getAllPiles()) {
+      for (const card of pile.cards) {
+        const key = `${card.rank}${card.suit}`;
+        if (!pool.has(key)) pool.set(key, []);
+        pool.get(key).push(card);
+      }
+    }
+    for (const [code, pile] of pileCodes(state)) {
+      pile.cards = layout.get(code).map(c => {
+        const card = pool.get(`${c.rank}${c.suit}`).pop();
+        card.faceUp = c.faceUp;
+        return card;
+      });
+    }
+    if (state.snapshot() !== asDealt) {
+      // A position other than the numbered deal: it cannot be re-dealt,
+      // so there is no deal number and no replay log
+      state.dealNumber = null;
+    }
+  } else if (dealNumber == null) {
+    throw new NotationError('Anna joko jaon numero tai korttien sijainnit');
+  }
+
+  moves.forEach((token, i) => playMove(game, token, i + 1));
+  if (state.dealNumber == null) state.log = null;
+  state.won = game.isWon();
+  return game;
+}
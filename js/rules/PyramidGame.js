@@ -0,0 +1,212 @@
+import { BaseGame } from './BaseGame.js';
+import { Deck } from '../engine/Deck.js';
+import { Pile } from '../engine/Pile.js';
+
+const ROWS = 7;
+// Pair values: king = 13 on its own, queen + ace, jack + two, ...
+const PAIR_SUM = 13;
+// Passes through the stock
+const MAX_PASSES = 3;
+
+/**
+ * Pyramid: 28 cards in a triangle, each row overlapping the one above.
+ * Two available cards whose ranks add up to 13 are removed together, a
+ * king alone. A pyramid card is available once both cards covering it
+ * are gone. Every pyramid position is a pile of its own ('pyramid-N',
+ * numbered row by row) holding at most one card.
+ */
+export class PyramidGame extends BaseGame {
+  constructor() {
+    super();
+    this.name = 'Pyramid';
+    this.description = 'Remove pairs adding up to 13';
+    this.removesPairs = true;
+    // coveredBy[n]: the two positions on the next row overlapping position n
+    this.coveredBy = [];
+    for (let row = 0; row < ROWS - 1; row++) {
+      for (let i = 0; i <= row; i++) {
+        const below = position(row + 1, i);
+        this.coveredBy.push([below, below + 1]);
+      }
+    }
+  }
+
+  setup() {
+    const deck = new Deck().createStandard52().shuffle(this.createRandom());
+
+    for (let n = 0; n < position(ROWS, 0); n++) {
+      const pile = new Pile('pyramid', `pyramid-${n}`);
+      const card = deck.deal(1)[0];
+      card.faceUp = true;
+      pile.push(card);
+      this.state.addPile(pile);
+    }
+
+    const stock = new Pile('stock', 'stock');
+    for (const card of deck.cards) {
+      card.faceUp = false;
+      stock.push(card);
+    }
+    this.state.addPile(stock);
+    this.state.addPile(new Pile('waste', 'waste'));
+    // Removed cards
+    this.state.addPile(new Pile('foundation', 'foundation-0'));
+
+    this.state.startTime = Date.now();
+  }
+
+  /**
+   * Whether the pile's top card can be played: the top of the waste, or a
+   * pyramid card with nothing left on top of it.
+   */
+  isAvailable(pile) {
+    if (!pile || pile.isEmpty()) return false;
+    if (pile.type === 'waste') return true;
+    if (pile.type !== 'pyramid') return false;
+    const covers = this.coveredBy[pileIndex(pile)];
+    return !covers || covers.every(n => this.state.getPile(`pyramid-${n}`).isEmpty());
+  }
+
+  // Only kings move on their own, straight to the removed cards
+  canMove(cards, fromPile, toPile) {
+    if (!cards || cards.length !== 1 || toPile.type !== 'foundation') return false;
+    if (fromPile && !this.isAvailable(fromPile)) return false;
+    return cards[0].rank === PAIR_SUM;
+  }
+
+  // Removing a king never takes away a partner for anything
+  isSafeToFoundation(card) {
+    return true;
+  }
+
+  canRemovePair(first, second) {
+    if (first === second || !this.isAvailable(first) || !this.isAvailable(second)) return false;
+    return first.topCard().rank + second.topCard().rank === PAIR_SUM;
+  }
+
+  removePair(first, second) {
+    const removed = this.state.getPile('foundation-0');
+    this.state.moveCards(first, removed, 1);
+    this.state.moveCards(second, removed, 1);
+  }
+
+  onStockClick() {
+    const stock = this.state.getPile('stock');
+    const waste = this.state.getPile('waste');
+
+    if (stock.isEmpty()) {
+      if (waste.isEmpty() || !this.canRedeal()) return;
+      while (!waste.isEmpty()) {
+        this.state.moveCards(waste, stock, 1);
+        this.state.flipTop(stock);
+      }
+      this.state.countRedeal();
+    } else {
+      this.state.moveCards(stock, waste, 1);
+      this.state.flipTop(waste);
+    }
+  }
+
+  canRedeal() {
+    return this.state.redeals < MAX_PASSES - 1;
+  }
+
+  getPileLabel(pile) {
+    if (pile.type !== 'stock') return null;
+    return `${this.state.redeals + 1}/${MAX_PASSES}`;
+  }
+
+  getLegalMoves() {
+    const s = this.state;
+    const available = [...s.getPilesByType('pyramid'), s.getPile('waste')].filter(p => this.isAvailable(p));
+    const removed = s.getPile('foundation-0');
+    const moves = [];
+    available.forEach((from, i) => {
+      const cardIndex = from.cards.length - 1;
+      if (this.canMove([from.topCard()], from, removed)) {
+        moves.push({ type: 'move', from, cardIndex, to: removed });
+      }
+      for (const to of available.slice(i + 1)) {
+        if (this.canRemovePair(from, to)) moves.push({ type: 'pair', from, cardIndex, to });
+      }
+    });
+    if (!s.getPile('stock').isEmpty() || (!s.getPile('waste').isEmpty() && this.canRedeal())) {
+      moves.push({ type: 'stock' });
+    }
+    return moves;
+  }
+
+  /**
+   * Dead end: nothing to remove in any position the stock can still reach.
+   * Clicks through the stock inside a probe, leaving the board untouched.
+   */
+  isDeadEnd() {
+    if (this.isWon()) return false;
+    const s = this.state;
+    return s.probe(() => {
+      for (;;) {
+        if (this.getLegalMoves().some(m => m.type !== 'stock')) return false;
+        const before = s.snapshot();
+        this.onStockClick();
+        if (s.snapshot() === before) return true;
+      }
+    });
+  }
+
+  isWon() {
+    return this.state.getPilesByType('pyramid').every(p => p.isEmpty());
+  }
+
+  getRules() {
+    return `<h2>Pyramidi</h2>
+<h3>Tavoite</h3>
+<p>Poista kaikki pyramidin 28 korttia.</p>
+<h3>Pelialue</h3>
+<ul>
+<li><b>Pyramidi</b> — seitsemän riviä kortteja, jokainen rivi osittain edellisen päällä</li>
+<li><b>Varastopakka</b> — klikkaa nostaaksesi kortin jätepinoon</li>
+<li><b>Jätepino</b> — päällimmäinen kortti on pelattavissa</li>
+<li><b>Poistetut kortit</b> — poistetut parit ja kuninkaat</li>
+</ul>
+<h3>Säännöt</h3>
+<ul>
+<li>Poista kaksi korttia, joiden arvot ovat yhteensä <b>13</b>: kuningatar (12) ja ässä, sotilas (11) ja kakkonen, 10 ja 3 ja niin edelleen</li>
+<li><b>Kuningas</b> (13) poistetaan yksinään</li>
+<li>Pyramidin kortti on vapaa vasta, kun molemmat sen päällä olevat kortit on poistettu</li>
+<li>Jätepinon päällimmäisen kortin voi yhdistää vapaaseen pyramidin korttiin</li>
+<li>Varastopakan voi käydä läpi ${MAX_PASSES} kertaa</li>
+</ul>
+<h3>Ohjaus</h3>
+<ul>
+<li><b>Napauta</b> kahta korttia poistaaksesi ne parina</li>
+<li><b>Napauta</b> kuningasta poistaaksesi sen</li>
+<li>Napauta valittua korttia uudelleen peruaksesi valinnan</li>
+</ul>`;
+  }
+
+  getBoardLayout() {
+    const pyramid = [];
+    for (let row = 0; row < ROWS; row++) {
+      for (let i = 0; i <= row; i++) {
+        // Each row centred under the one above
+        pyramid.push({ col: (ROWS - 1 - row) / 2 + i, row });
+      }
+    }
+    return {
+      stock: { col: 0, row: 0 },
+      waste: { col: 1, row: 0 },
+      foundations: [{ col: 6, row: 0 }],
+      overlapping: { type: 'pyramid', positions: pyramid },
+      columns: 7
+    };
+  }
+}
+
+// Index of the pyramid position at `row`, `i` places from the left
+function position(row, i) {
+  return row * (row + 1) / 2 + i;
+}
+
+function pileIndex(pile) {
+  return Number(pile.id.slice('pyramid-'.length));
+}
@@ -1,5 +1,4 @@
 import { BaseGame } from './BaseGame.js';
-import { Card } from '../engine/Card.js';
 import { Deck } from '../engine/Deck.js';
 import { Pile } from '../engine/Pile.js';
 
@@ -14,18 +13,8 @@ export class SpiderGame extends BaseGame {
   setup() {
     const allSuits = ['spades', 'hearts', 'diamonds', 'clubs'];
     const usedSuits = allSuits.slice(0, this.suitCount);
-    const deck = new Deck();
-
-    // Create 104 cards using only the selected suits
-    const decksPerSuit = Math.floor(8 / usedSuits.length); // 8 suit-decks total
-    for (const suit of usedSuits) {
-      for (let d = 0; d < decksPerSuit; d++) {
-        for (let rank = 1; rank <= 13; rank++) {
-          deck.cards.push(new Card(suit, rank));
-        }
-      }
-    }
-    deck.shuffle();
+    // Two decks' worth of cards (104) using only the selected suits
+    const deck = new Deck().createDecks(2, usedSuits).shuffle(this.createRandom());
 
     // 10 tableau piles: first 4 get 6 cards, last 6 get 5 cards
     for (let i = 0; i < 10; i++) {
@@ -70,8 +59,7 @@ export class SpiderGame extends BaseGame {
 
   onMove(cards, fromPile, toPile) {
     if (fromPile && fromPile.type === 'tableau' && !fromPile.isEmpty()) {
-      const topCard = fromPile.topCard();
-      if (!topCard.faceUp) topCard.faceUp = true;
+      if (!fromPile.topCard().faceUp) this.state.flipTop(fromPile);
     }
     this._checkCompleteSequence(toPile);
   }
@@ -90,9 +78,9 @@ export class SpiderGame extends BaseGame {
     // Complete K-A sequence found — move to foundation
     const foundation = this.state.getPilesByType('foundation').find(f => f.isEmpty());
     if (foundation) {
-      foundation.pushMany(pile.takeFrom(start));
+      this.state.moveCards(pile, foundation, 13);
       if (!pile.isEmpty() && !pile.topCard().faceUp) {
-        pile.topCard().faceUp = true;
+        this.state.flipTop(pile);
       }
     }
   }
@@ -114,9 +102,8 @@ export class SpiderGame extends BaseGame {
 
     for (const pile of tableauPiles) {
       if (stock.isEmpty()) break;
-      const card = stock.pop();
-      card.faceUp = true;
-      pile.push(card);
+      this.state.moveCards(stock, pile, 1);
+      this.state.flipTop(pile);
     }
 
     for (const pile of tableauPiles) {
@@ -124,6 +111,21 @@ export class SpiderGame extends BaseGame {
     }
   }
 
+  getLegalMoves() {
+    const tableau = this.state.getPilesByType('tableau');
+    const moves = this._collectMoves(tableau, tableau);
+    if (!this.state.getPile('stock').isEmpty() && !tableau.some(p => p.isEmpty())) {
+      moves.push({ type: 'stock' });
+    }
+    return moves;
+  }
+
+  isDeadEnd() {
+    // Another deal from the stock is always possible (empty columns can be filled first)
+    if (!this.state.getPile('stock').isEmpty()) return false;
+    return super.isDeadEnd();
+  }
+
   isWon() {
     return this.state.getPilesByType('foundation')
       .every(p => p.cards.length === 13);
@@ -0,0 +1,132 @@
+import { ChainGame } from './ChainGame.js';
+import { Deck } from '../engine/Deck.js';
+import { Pile } from '../engine/Pile.js';
+
+const PEAKS = 3;
+// Cards per row, from the tips of the peaks down to the open bottom row
+const ROW_SIZES = [3, 6, 9, 10];
+// Points for clearing a peak, and the last one
+const PEAK_BONUS = 15;
+const LAST_PEAK_BONUS = 30;
+
+/**
+ * TriPeaks: 28 cards in three overlapping peaks over a shared bottom row.
+ * A card is free once both cards overlapping it are gone, and is turned up
+ * then. Every position is a pile of its own ('peak-N', numbered row by
+ * row from the tips) holding at most one card. King and ace are neighbours.
+ */
+export class TriPeaksGame extends ChainGame {
+  constructor() {
+    super();
+    this.name = 'TriPeaks';
+    this.description = 'Clear three peaks in chains of cards';
+    this.playType = 'peak';
+    this.wraps = true;
+    // coveredBy[n]: the two positions on the next row overlapping position n
+    this.coveredBy = [];
+    // Layout column of each position; the peaks sit between whole columns
+    this.columns = [];
+    this._buildPeaks();
+  }
+
+  _buildPeaks() {
+    const rowStart = ROW_SIZES.map((_, row) => ROW_SIZES.slice(0, row).reduce((a, b) => a + b, 0));
+    ROW_SIZES.forEach((size, row) => {
+      for (let i = 0; i < size; i++) {
+        if (row === ROW_SIZES.length - 1) {
+          this.columns[rowStart[row] + i] = i;
+          continue;
+        }
+        // A card lies over two neighbours on the next row. Row 3 is shared
+        // by the peaks; higher up each peak only covers its own cards.
+        const perPeak = size / PEAKS;
+        const below = row === ROW_SIZES.length - 2
+          ? i
+          : Math.floor(i / perPeak) * (perPeak + 1) + i % perPeak;
+        this.coveredBy.push([rowStart[row + 1] + below, rowStart[row + 1] + below + 1]);
+      }
+    });
+    // Each card is centred over the two covering it, bottom row upwards
+    for (let n = this.coveredBy.length - 1; n >= 0; n--) {
+      const [a, b] = this.coveredBy[n];
+      this.columns[n] = (this.columns[a] + this.columns[b]) / 2;
+    }
+  }
+
+  setup() {
+    const deck = new Deck().createStandard52().shuffle(this.createRandom());
+    const open = ROW_SIZES[ROW_SIZES.length - 1];
+    const count = this.columns.length;
+
+    deck.deal(count).forEach((card, n) => {
+      const pile = new Pile('peak', `peak-${n}`);
+      card.faceUp = n >= count - open;
+      pile.push(card);
+      this.state.addPile(pile);
+    });
+
+    this.state.addPile(new Pile('stock', 'stock'));
+    this.state.addPile(new Pile('waste', 'waste'));
+    this._dealStock(deck.cards);
+
+    this.state.startTime = Date.now();
+  }
+
+  isAvailable(pile) {
+    if (pile.isEmpty()) return false;
+    const covers = this.coveredBy[Number(pile.id.slice('peak-'.length))];
+    return !covers || covers.every(n => this.state.getPile(`peak-${n}`).isEmpty());
+  }
+
+  afterPlay(pile) {
+    for (const peak of this.state.getPilesByType('peak')) {
+      if (this.isAvailable(peak) && !peak.topCard().faceUp) this.state.flipTop(peak);
+    }
+    // The tip of a peak is always its last card
+    if (Number(pile.id.slice('peak-'.length)) < PEAKS) {
+      const tipsLeft = this.state.getPilesByType('peak').slice(0, PEAKS).filter(p => !p.isEmpty()).length;
+      this.state.addScore(tipsLeft === 0 ? LAST_PEAK_BONUS : PEAK_BONUS);
+    }
+  }
+
+  getRules() {
+    return `<h2>TriPeaks</h2>
+<h3>Tavoite</h3>
+<p>Pelaa kaikki kolmen huipun 28 korttia jätepinoon.</p>
+<h3>Pelialue</h3>
+<ul>
+<li><b>Huiput</b> — kolme limittäistä korttikolmiota; vain alimman rivin kortit ovat aluksi kuvapuoli ylöspäin</li>
+<li><b>Varastopakka</b> — klikkaa kääntääksesi uuden kortin jätepinoon; pakka käydään läpi vain kerran</li>
+<li><b>Jätepino</b> — kortit pelataan sen päälle</li>
+</ul>
+<h3>Säännöt</h3>
+<ul>
+<li>Kortin voi pelata jätepinoon, jos se on arvoltaan <b>yhtä suurempi tai pienempi</b> kuin jätepinon päällimmäinen kortti, maasta riippumatta</li>
+<li>Kuningas ja ässä ovat vierekkäisiä: ässän voi pelata kuninkaalle ja päinvastoin</li>
+<li>Kortti on vapaa, kun molemmat sen päällä olevat kortit on pelattu; se käännetään silloin automaattisesti</li>
+</ul>
+<h3>Pisteet</h3>
+<ul>
+<li>Jokainen putken kortti tuottaa pisteen enemmän kuin edellinen: 1, 2, 3 ...</li>
+<li>Putki katkeaa, kun varastopakasta käännetään kortti</li>
+<li>Huipun tyhjentämisestä saa ${PEAK_BONUS} pistettä, viimeisestä ${LAST_PEAK_BONUS}</li>
+</ul>
+<h3>Ohjaus</h3>
+<ul>
+<li><b>Napauta</b> vapaata korttia pelataksesi sen jätepinoon</li>
+</ul>`;
+  }
+
+  getBoardLayout() {
+    const rows = ROW_SIZES.flatMap((size, row) => Array(size).fill(row));
+    return {
+      stock: { col: 0, row: 0 },
+      waste: { col: 1, row: 0 },
+      overlapping: {
+        type: 'peak',
+        positions: this.columns.map((col, n) => ({ col, row: rows[n] }))
+      },
+      columns: ROW_SIZES[ROW_SIZES.length - 1]
+    };
+  }
+}
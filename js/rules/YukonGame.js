@@ -0,0 +1,158 @@
+import { BaseGame } from './BaseGame.js';
+import { Deck } from '../engine/Deck.js';
+import { Pile } from '../engine/Pile.js';
+
+// Face-up cards dealt on top of the hidden ones in columns 2-7
+const FACE_UP_PER_COLUMN = 5;
+
+/**
+ * Yukon, and Russian Solitaire when `sameSuit` is set. Like Klondike
+ * without a stock: every card is dealt into the 7 columns, and any face-up
+ * card can be moved with everything on top of it, in sequence or not.
+ */
+export class YukonGame extends BaseGame {
+  constructor(sameSuit = false) {
+    super();
+    this.sameSuit = sameSuit;
+    this.name = sameSuit ? 'Russian Solitaire' : 'Yukon';
+    this.description = sameSuit ? 'Yukon building by suit' : 'Klondike without a stock';
+  }
+
+  setup() {
+    const deck = new Deck().createStandard52().shuffle(this.createRandom());
+
+    // Column 1 gets a single card; columns 2-7 get 1-6 hidden cards
+    // with five face-up cards on top
+    for (let i = 0; i < 7; i++) {
+      const pile = new Pile('tableau', `tableau-${i}`);
+      const hidden = i;
+      const cards = deck.deal(i === 0 ? 1 : hidden + FACE_UP_PER_COLUMN);
+      cards.forEach((card, j) => {
+        card.faceUp = j >= hidden;
+        pile.push(card);
+      });
+      this.state.addPile(pile);
+    }
+
+    for (let i = 0; i < 4; i++) {
+      this.state.addPile(new Pile('foundation', `foundation-${i}`));
+    }
+
+    this.state.startTime = Date.now();
+  }
+
+  canMove(cards, fromPile, toPile) {
+    if (!cards || cards.length === 0) return false;
+    if (fromPile === toPile) return false;
+    if (cards.some(c => !c.faceUp)) return false;
+
+    const bottomCard = cards[0];
+
+    if (toPile.type === 'foundation') {
+      if (cards.length !== 1) return false;
+      if (toPile.isEmpty()) return bottomCard.rank === 1;
+      const top = toPile.topCard();
+      return bottomCard.suit === top.suit && bottomCard.rank === top.rank + 1;
+    }
+
+    if (toPile.type === 'tableau') {
+      // Whatever lies on top of the moved card comes along as it is
+      if (toPile.isEmpty()) return bottomCard.rank === 13;
+      const top = toPile.topCard();
+      return top.faceUp && this._buildsOn(bottomCard, top);
+    }
+
+    return false;
+  }
+
+  _buildsOn(card, below) {
+    if (card.rank !== below.rank - 1) return false;
+    return this.sameSuit ? card.suit === below.suit : card.color !== below.color;
+  }
+
+  onMove(cards, fromPile, toPile) {
+    if (fromPile && fromPile.type === 'tableau' && !fromPile.isEmpty() && !fromPile.topCard().faceUp) {
+      this.state.flipTop(fromPile);
+    }
+  }
+
+  /**
+   * Building by suit, nothing can ever go on a card whose next lower card
+   * is already home.
+   */
+  isSafeToFoundation(card) {
+    return this.sameSuit || super.isSafeToFoundation(card);
+  }
+
+  getLegalMoves() {
+    const s = this.state;
+    const tableau = s.getPilesByType('tableau');
+    const foundations = s.getPilesByType('foundation');
+    return this._collectMoves([...tableau, ...foundations], [...tableau, ...foundations]);
+  }
+
+  /**
+   * With every card face up and each column a proper build, playing the
+   * lowest card home always finishes the game.
+   */
+  canAutoComplete() {
+    if (this.isWon()) return false;
+    return this.state.getPilesByType('tableau').every(p =>
+      p.cards.every((card, i) => card.faceUp && (i === 0 || this._buildsOn(card, p.cards[i - 1]))));
+  }
+
+  isWon() {
+    return this.state.getPilesByType('foundation')
+      .every(p => p.cards.length === 13);
+  }
+
+  getRules() {
+    const name = this.sameSuit ? 'Venäläinen pasianssi' : 'Yukon';
+    const building = this.sameSuit
+      ? 'samaa maata (esim. pata 7 → pata 6)'
+      : 'vuoroväreillä (esim. musta 7 → punainen 6)';
+    return `<h2>${name}</h2>
+<h3>Tavoite</h3>
+<p>Siirrä kaikki 52 korttia neljään perustapiikkiin maittain järjestyksessä ässästä kuninkaaseen.</p>
+<h3>Pelialue</h3>
+<ul>
+<li><b>4 perustapiikkiä</b> — rakenna maa kerrallaan: A, 2, 3 ... K</li>
+<li><b>7 tableau-pinoa</b> — kaikki kortit jaetaan pinoihin; ensimmäisessä on yksi kortti, muissa 1–6 kuvapuoli alaspäin olevaa korttia ja niiden päällä viisi avointa</li>
+<li>Varastopakkaa ei ole</li>
+</ul>
+<h3>Säännöt</h3>
+<ul>
+<li>Kortti siirretään tableau-pinoon laskevassa järjestyksessä ${building}</li>
+<li><b>Minkä tahansa</b> avoimen kortin voi siirtää kaikkine päällä olevine kortteineen, vaikka ne eivät olisi järjestyksessä</li>
+<li>Vain kuningas (päällä olevine kortteineen) voidaan siirtää tyhjään tableau-pinoon</li>
+<li>Kun kuvapuoli alaspäin oleva kortti paljastuu, se käännetään automaattisesti</li>
+</ul>
+<h3>Ohjaus</h3>
+<ul>
+<li><b>Raahaa</b> korttia siirtääksesi sen ja sen päällä olevat kortit</li>
+<li><b>Klikkaa</b> korttia siirtääksesi sen automaattisesti parhaaseen paikkaan</li>
+<li><b>Tuplaklikkaa</b> siirtääksesi kortin perustaan</li>
+</ul>`;
+  }
+
+  getBoardLayout() {
+    return {
+      foundations: [
+        { col: 3, row: 0 },
+        { col: 4, row: 0 },
+        { col: 5, row: 0 },
+        { col: 6, row: 0 }
+      ],
+      tableau: [
+        { col: 0, row: 1 },
+        { col: 1, row: 1 },
+        { col: 2, row: 1 },
+        { col: 3, row: 1 },
+        { col: 4, row: 1 },
+        { col: 5, row: 1 },
+        { col: 6, row: 1 }
+      ],
+      columns: 7
+    };
+  }
+}
@@ -0,0 +1,263 @@
+import { SUITS, rankOf, suitOf, encodeCard, foundationHeights, isSafeHome, canStack, MinHeap } from './common.js';
+
+/**
+ * FreeCell solver. Pure logic with no DOM access, so it can run inside
+ * the solver Web Worker (see solverWorker.js) as well as on the main thread.
+ * Cards are encoded as in common.js.
+ */
+
+/**
+ * Plain, structured-clone friendly description of a FreeCell position,
+ * built from the game's piles. Tableau and free cell order is kept so
+ * solution moves map straight back to pile ids.
+ */
+export function freeCellPosition(state) {
+  return {
+    tableau: state.getPilesByType('tableau').map(p => p.cards.map(encodeCard)),
+    freecells: state.getPilesByType('freecell').map(p => (p.isEmpty() ? -1 : encodeCard(p.topCard()))),
+    foundations: foundationHeights(state)
+  };
+}
+
+function clone(s) {
+  return {
+    tableau: s.tableau.slice(),
+    freecells: s.freecells.slice(),
+    foundations: s.foundations.slice()
+  };
+}
+
+function stateKey(s) {
+  const cols = s.tableau.map(col => String.fromCharCode(...col.map(c => c + 48))).sort();
+  const cells = s.freecells.filter(c => c >= 0).sort((a, b) => a - b);
+  return cols.join('|') + '#' + cells.join(',') + '#' + s.foundations.join(',');
+}
+
+function maxMovable(s, targetCol) {
+  const free = s.freecells.filter(c => c < 0).length;
+  let empty = 0;
+  for (let i = 0; i < s.tableau.length; i++) {
+    if (i !== targetCol && s.tableau[i].length === 0) empty++;
+  }
+  return (1 + free) * Math.pow(2, empty);
+}
+
+/**
+ * Apply one move to a copy of the state. Moves use game pile ids:
+ * { from: 'tableau-2', to: 'freecell-0', count: 1 }. Foundations are
+ * addressed by type only ('foundation'); moves off a foundation also carry
+ * the `suit`, since foundation piles are not tied to a suit in the game.
+ */
+function applyMove(s, move) {
+  const next = clone(s);
+  let cards;
+  const [fromType, fromIdx] = move.from.split('-');
+  if (fromType === 'tableau') {
+    const col = next.tableau[+fromIdx].slice();
+    cards = col.splice(col.length - move.count);
+    next.tableau[+fromIdx] = col;
+  } else if (fromType === 'freecell') {
+    cards = [next.freecells[+fromIdx]];
+    next.freecells[+fromIdx] = -1;
+  } else {
+    const suit = SUITS.indexOf(move.suit);
+    cards = [suit * 13 + next.foundations[suit] - 1];
+    next.foundations[suit]--;
+  }
+
+  const [toType, toIdx] = move.to.split('-');
+  if (toType === 'tableau') {
+    next.tableau[+toIdx] = next.tableau[+toIdx].concat(cards);
+  } else if (toType === 'freecell') {
+    next.freecells[+toIdx] = cards[0];
+  } else {
+    next.foundations[suitOf(cards[0])]++;
+  }
+  return next;
+}
+
+/**
+ * Play every provably safe foundation move. These never need branching,
+ * which keeps the search small without losing any solutions.
+ */
+function autoPlay(s, moves) {
+  let progress = true;
+  while (progress) {
+    progress = false;
+    for (let i = 0; i < s.tableau.length; i++) {
+      const col = s.tableau[i];
+      if (col.length === 0) continue;
+      const card = col[col.length - 1];
+      if (s.foundations[suitOf(card)] === rankOf(card) - 1 && isSafeHome(card, s.foundations)) {
+        const move = { from: `tableau-${i}`, to: 'foundation', count: 1 };
+        s = applyMove(s, move);
+        moves.push(move);
+        progress = true;
+      }
+    }
+    for (let i = 0; i < s.freecells.length; i++) {
+      const card = s.freecells[i];
+      if (card < 0) continue;
+      if (s.foundations[suitOf(card)] === rankOf(card) - 1 && isSafeHome(card, s.foundations)) {
+        const move = { from: `freecell-${i}`, to: 'foundation', count: 1 };
+        s = applyMove(s, move);
+        moves.push(move);
+        progress = true;
+      }
+    }
+  }
+  return s;
+}
+
+function generateMoves(s) {
+  const moves = [];
+  const emptyCell = s.freecells.indexOf(-1);
+  const emptyCols = [];
+  s.tableau.forEach((col, i) => { if (col.length === 0) emptyCols.push(i); });
+
+  // Single cards to the foundation
+  const toFoundation = (card) => s.foundations[suitOf(card)] === rankOf(card) - 1;
+  s.tableau.forEach((col, i) => {
+    if (col.length > 0 && toFoundation(col[col.length - 1])) {
+      moves.push({ from: `tableau-${i}`, to: 'foundation', count: 1 });
+    }
+  });
+  s.freecells.forEach((card, i) => {
+    if (card >= 0 && toFoundation(card)) {
+      moves.push({ from: `freecell-${i}`, to: 'foundation', count: 1 });
+    }
+  });
+
+  // Free cells to the tableau (one empty column is as good as any other)
+  s.freecells.forEach((card, i) => {
+    if (card < 0) return;
+    s.tableau.forEach((col, j) => {
+      if (col.length > 0 && canStack(card, col[col.length - 1])) {
+        moves.push({ from: `freecell-${i}`, to: `tableau-${j}`, count: 1 });
+      }
+    });
+    if (emptyCols.length > 0) {
+      moves.push({ from: `freecell-${i}`, to: `tableau-${emptyCols[0]}`, count: 1 });
+    }
+  });
+
+  // Tableau sequences to other columns, within the supermove limit
+  s.tableau.forEach((col, i) => {
+    if (col.length === 0) return;
+    let seq = 1;
+    while (seq < col.length && canStack(col[col.length - seq], col[col.length - seq - 1])) seq++;
+
+    s.tableau.forEach((target, j) => {
+      if (j === i || target.length === 0) return;
+      const top = target[target.length - 1];
+      for (let n = 1; n <= seq; n++) {
+        if (canStack(col[col.length - n], top)) {
+          if (n <= maxMovable(s, j)) moves.push({ from: `tableau-${i}`, to: `tableau-${j}`, count: n });
+          break;
+        }
+      }
+    });
+
+    if (emptyCols.length > 0) {
+      const j = emptyCols[0];
+      // Moving a whole column into an empty one changes nothing
+      const limit = Math.min(seq, maxMovable(s, j), col.length === seq ? seq - 1 : seq);
+      for (let n = limit; n >= 1; n--) {
+        moves.push({ from: `tableau-${i}`, to: `tableau-${j}`, count: n });
+      }
+    }
+  });
+
+  // Tableau to a free cell
+  if (emptyCell >= 0) {
+    s.tableau.forEach((col, i) => {
+      if (col.length > 0) moves.push({ from: `tableau-${i}`, to: `freecell-${emptyCell}`, count: 1 });
+    });
+  }
+
+  // Back off the foundation (rarely useful, but needed for a complete search)
+  for (let suit = 0; suit < 4; suit++) {
+    const rank = s.foundations[suit];
+    if (rank === 0) continue;
+    const card = suit * 13 + rank - 1;
+    if (isSafeHome(card, s.foundations)) continue;
+    s.tableau.forEach((col, j) => {
+      if (col.length > 0 && canStack(card, col[col.length - 1])) {
+        moves.push({ from: 'foundation', suit: SUITS[suit], to: `tableau-${j}`, count: 1 });
+      }
+    });
+  }
+
+  return moves;
+}
+
+/**
+ * Lower is better: cards still out, plus cards buried on top of the
+ * next card each suit needs, plus columns that are out of order.
+ * Empty columns and free cells are worth keeping open.
+ */
+function heuristic(s) {
+  let home = 0;
+  for (const f of s.foundations) home += f;
+  let score = (52 - home) * 6;
+
+  for (const col of s.tableau) {
+    if (col.length === 0) score -= 4;
+    for (let k = 1; k < col.length; k++) {
+      if (!canStack(col[k], col[k - 1])) score += 2;
+    }
+    for (let k = 0; k < col.length; k++) {
+      const c = col[k];
+      if (rankOf(c) === s.foundations[suitOf(c)] + 1) score += (col.length - 1 - k) * 2;
+    }
+  }
+  for (const c of s.freecells) if (c >= 0) score += 2;
+  return score;
+}
+
+
+/**
+ * Search for a solution with best-first search.
+ *
+ * Returns { status, moves, nodes }:
+ *   'solved'     — `moves` plays the position out (including the safe
+ *                  foundation moves the solver made automatically)
+ *   'unsolvable' — the whole reachable position space was searched
+ *   'unknown'    — gave up after `maxNodes` positions or `timeLimit` ms
+ */
+export function solveFreeCell(position, { maxNodes = 200000, timeLimit = Infinity } = {}) {
+  const deadline = Date.now() + timeLimit;
+  const startMoves = [];
+  const start = autoPlay(clone(position), startMoves);
+  const seen = new Set([stateKey(start)]);
+  const open = new MinHeap();
+  const root = { state: start, parent: null, moves: startMoves, f: heuristic(start) };
+  open.push(root);
+  let nodes = 0;
+
+  while (open.size > 0) {
+    const node = open.pop();
+    if (node.state.foundations.every(f => f === 13)) {
+      const moves = [];
+      for (let n = node; n; n = n.parent) moves.unshift(...n.moves);
+      return { status: 'solved', moves, nodes };
+    }
+    if (++nodes > maxNodes || (nodes % 1000 === 0 && Date.now() > deadline)) {
+      return { status: 'unknown', moves: [], nodes };
+    }
+
+    const state = node.state;
+    // Expanded nodes only need their moves and parent for the final path
+    node.state = null;
+    for (const move of generateMoves(state)) {
+      const moves = [move];
+      const next = autoPlay(applyMove(state, move), moves);
+      const key = stateKey(next);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      open.push({ state: next, parent: node, moves, f: heuristic(next) });
+    }
+  }
+
+  return { status: 'unsolvable', moves: [], nodes };
+}
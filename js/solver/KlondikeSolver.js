@@ -0,0 +1,300 @@
+import { SUITS, rankOf, suitOf, encodeCard, foundationHeights, isSafeHome, canStack, MinHeap } from './common.js';
+
+/**
+ * Klondike solver for draw-1 and draw-3. Like FreeCellSolver it is pure
+ * logic for the solver Web Worker. The solver sees the face-down cards
+ * ("thoughtful" solving), so a found solution proves the deal is winnable.
+ * Cards are encoded as in common.js.
+ */
+
+/**
+ * Structured-clone friendly description of a Klondike position.
+ * Tableau columns list all cards bottom to top; `down` is how many of
+ * them are still face down.
+ */
+export function klondikePosition(state, drawCount) {
+  return {
+    tableau: state.getPilesByType('tableau').map(p => p.cards.map(encodeCard)),
+    down: state.getPilesByType('tableau').map(p => blockedCount(p.cards)),
+    stock: state.getPile('stock').cards.map(encodeCard),
+    waste: state.getPile('waste').cards.map(encodeCard),
+    foundations: foundationHeights(state),
+    drawCount
+  };
+}
+
+/**
+ * Cards above the movable run at the bottom of a column. Normally these are
+ * the face-down cards; in Thoughtful games they are face up but just as stuck.
+ */
+function blockedCount(cards) {
+  let i = cards.length - 1;
+  if (i < 0) return 0;
+  while (i > 0) {
+    const card = cards[i];
+    const above = cards[i - 1];
+    if (!above.faceUp || above.color === card.color || above.rank !== card.rank + 1) break;
+    i--;
+  }
+  return i;
+}
+
+function clone(s) {
+  return {
+    tableau: s.tableau.slice(),
+    down: s.down.slice(),
+    talon: s.talon,
+    w: s.w,
+    foundations: s.foundations.slice(),
+    drawCount: s.drawCount
+  };
+}
+
+/**
+ * Internal search state. Stock and waste are kept as one "talon": the waste
+ * from bottom to top followed by the stock from top to bottom. Drawing and
+ * recycling never change that order, only how many cards are in the waste
+ * (`w`), so stock clicks need not be searched one by one.
+ */
+function fromPosition(position) {
+  return {
+    tableau: position.tableau.slice(),
+    down: position.down.slice(),
+    talon: position.waste.concat(position.stock.slice().reverse()),
+    w: position.waste.length,
+    foundations: position.foundations.slice(),
+    drawCount: position.drawCount
+  };
+}
+
+function stateKey(s) {
+  const cols = s.tableau.map((col, i) => s.down[i] + ':' + String.fromCharCode(...col.map(c => c + 48))).sort();
+  return cols.join('|') + '#' + String.fromCharCode(...s.talon.map(c => c + 48)) +
+    '/' + s.w + '#' + s.foundations.join(',');
+}
+
+function revealTop(s, i) {
+  if (s.tableau[i].length > 0 && s.down[i] >= s.tableau[i].length) {
+    s.down[i] = s.tableau[i].length - 1;
+  }
+}
+
+/**
+ * Apply one move to a copy of the state. Internal moves are
+ *   { from: 'tableau-2', to: 'tableau-5' | 'foundation', count }
+ *   { from: 'waste', w, clicks, to }  — click the stock `clicks` times until
+ *                                       the waste holds `w` cards, then play its top
+ *   { from: 'foundation', suit, to: 'tableau-5', count: 1 }
+ */
+function applyMove(s, move) {
+  const next = clone(s);
+  let cards;
+  if (move.from === 'waste') {
+    cards = [next.talon[move.w - 1]];
+    next.talon = next.talon.slice(0, move.w - 1).concat(next.talon.slice(move.w));
+    next.w = move.w - 1;
+  } else if (move.from === 'foundation') {
+    const suit = SUITS.indexOf(move.suit);
+    cards = [suit * 13 + next.foundations[suit] - 1];
+    next.foundations[suit]--;
+  } else {
+    const i = +move.from.split('-')[1];
+    const col = next.tableau[i];
+    cards = col.slice(col.length - move.count);
+    next.tableau[i] = col.slice(0, col.length - move.count);
+    revealTop(next, i);
+  }
+
+  if (move.to === 'foundation') {
+    next.foundations[suitOf(cards[0])]++;
+  } else {
+    const j = +move.to.split('-')[1];
+    next.tableau[j] = next.tableau[j].concat(cards);
+  }
+  return next;
+}
+
+function autoPlay(s, moves) {
+  let progress = true;
+  while (progress) {
+    progress = false;
+    const sources = s.tableau.map((col, i) => ({
+      move: { from: `tableau-${i}`, to: 'foundation', count: 1 },
+      card: col.length > s.down[i] ? col[col.length - 1] : -1
+    }));
+    sources.push({
+      move: { from: 'waste', w: s.w, clicks: 0, to: 'foundation' },
+      card: s.w > 0 ? s.talon[s.w - 1] : -1
+    });
+    for (const { move, card } of sources) {
+      if (card < 0) continue;
+      if (s.foundations[suitOf(card)] === rankOf(card) - 1 && isSafeHome(card, s.foundations)) {
+        s = applyMove(s, move);
+        moves.push(move);
+        progress = true;
+        break;
+      }
+    }
+  }
+  return s;
+}
+
+/**
+ * Every waste size reachable by clicking the stock, starting from the
+ * current one, with the number of clicks needed to get there.
+ */
+function talonStops(s) {
+  const stops = [];
+  const total = s.talon.length;
+  if (total === 0) return stops;
+  // With draw-3 the first pass may hit different waste sizes than later
+  // passes, so walk until a size repeats rather than until we are back
+  const visited = new Set();
+  let w = s.w;
+  let clicks = 0;
+  while (!visited.has(w)) {
+    visited.add(w);
+    if (w > 0) stops.push({ w, clicks });
+    w = w >= total ? 0 : Math.min(w + s.drawCount, total);
+    clicks++;
+  }
+  return stops;
+}
+
+function generateMoves(s) {
+  const moves = [];
+  const toFoundation = (card) => s.foundations[suitOf(card)] === rankOf(card) - 1;
+  const emptyCol = s.tableau.findIndex(col => col.length === 0);
+
+  // Foundation moves first: they are almost always right
+  s.tableau.forEach((col, i) => {
+    if (col.length > s.down[i] && toFoundation(col[col.length - 1])) {
+      moves.push({ from: `tableau-${i}`, to: 'foundation', count: 1 });
+    }
+  });
+
+  // Tableau runs onto other columns. Only moves that make progress are
+  // tried: lifting the whole face-up run (revealing a card or emptying the
+  // column), or lifting part of it so the card underneath can go home.
+  s.tableau.forEach((col, i) => {
+    for (let k = s.down[i]; k < col.length; k++) {
+      const card = col[k];
+      const count = col.length - k;
+      const useful = k === s.down[i] || toFoundation(col[k - 1]);
+      if (!useful) continue;
+      s.tableau.forEach((target, j) => {
+        if (j !== i && target.length > 0 && canStack(card, target[target.length - 1])) {
+          moves.push({ from: `tableau-${i}`, to: `tableau-${j}`, count });
+        }
+      });
+      // A king into an empty column, unless it already heads its column
+      if (emptyCol >= 0 && rankOf(card) === 13 && k > 0) {
+        moves.push({ from: `tableau-${i}`, to: `tableau-${emptyCol}`, count });
+      }
+    }
+  });
+
+  // Any card the stock can bring to the top of the waste
+  for (const { w, clicks } of talonStops(s)) {
+    const card = s.talon[w - 1];
+    if (toFoundation(card)) moves.push({ from: 'waste', w, clicks, to: 'foundation' });
+    s.tableau.forEach((target, j) => {
+      if (target.length > 0 && canStack(card, target[target.length - 1])) {
+        moves.push({ from: 'waste', w, clicks, to: `tableau-${j}` });
+      }
+    });
+    if (emptyCol >= 0 && rankOf(card) === 13) {
+      moves.push({ from: 'waste', w, clicks, to: `tableau-${emptyCol}` });
+    }
+  }
+
+  // Back off the foundation, for a complete search
+  for (let suit = 0; suit < 4; suit++) {
+    const rank = s.foundations[suit];
+    if (rank === 0) continue;
+    const card = suit * 13 + rank - 1;
+    if (isSafeHome(card, s.foundations)) continue;
+    s.tableau.forEach((target, j) => {
+      if (target.length > 0 && canStack(card, target[target.length - 1])) {
+        moves.push({ from: 'foundation', suit: SUITS[suit], to: `tableau-${j}`, count: 1 });
+      }
+    });
+  }
+
+  return moves;
+}
+
+/**
+ * Turn internal moves into what the player does: stock clicks become
+ * separate { from: 'stock' } moves.
+ */
+function playerMoves(moves) {
+  const out = [];
+  for (const move of moves) {
+    if (move.from !== 'waste') {
+      out.push(move);
+      continue;
+    }
+    for (let i = 0; i < move.clicks; i++) out.push({ from: 'stock' });
+    out.push({ from: 'waste', to: move.to, count: 1 });
+  }
+  return out;
+}
+
+/**
+ * Lower is better: cards still out, hidden tableau cards
+ * and cards still in the stock and waste.
+ */
+function heuristic(s) {
+  let home = 0;
+  for (const f of s.foundations) home += f;
+  let score = (52 - home) * 4;
+  for (let i = 0; i < s.tableau.length; i++) {
+    score += s.down[i] * 6;
+    if (s.tableau[i].length === 0) score -= 3;
+  }
+  score += s.talon.length;
+  return score;
+}
+
+
+/**
+ * Best-first search. Returns { status, moves, nodes } like solveFreeCell(),
+ * stopping after `maxNodes` positions or `timeLimit` milliseconds.
+ * The search skips tableau moves that cannot make progress, so running out
+ * of positions is reported as 'unknown' rather than 'unsolvable'.
+ */
+export function solveKlondike(position, { maxNodes = 200000, timeLimit = Infinity } = {}) {
+  const deadline = Date.now() + timeLimit;
+  const startMoves = [];
+  const start = autoPlay(fromPosition(position), startMoves);
+  const seen = new Set([stateKey(start)]);
+  const open = new MinHeap();
+  open.push({ state: start, parent: null, moves: startMoves, f: heuristic(start) });
+  let nodes = 0;
+
+  while (open.size > 0) {
+    const node = open.pop();
+    if (node.state.foundations.every(f => f === 13)) {
+      const moves = [];
+      for (let n = node; n; n = n.parent) moves.unshift(...n.moves);
+      return { status: 'solved', moves: playerMoves(moves), nodes };
+    }
+    if (++nodes > maxNodes || (nodes % 1000 === 0 && Date.now() > deadline)) {
+      return { status: 'unknown', moves: [], nodes };
+    }
+
+    const state = node.state;
+    node.state = null;
+    for (const move of generateMoves(state)) {
+      const moves = [move];
+      const next = autoPlay(applyMove(state, move), moves);
+      const key = stateKey(next);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      open.push({ state: next, parent: node, moves, f: heuristic(next) });
+    }
+  }
+
+  return { status: 'unknown', moves: [], nodes };
+}
@@ -0,0 +1,57 @@
+/**
+ * Main-thread handle to the solver worker. The worker is created lazily
+ * and terminated on cancel(), which is the only way to stop a running search.
+ */
+export class SolverClient {
+  constructor() {
+    this.worker = null;
+    this.pending = new Map();
+    this.nextId = 1;
+  }
+
+  _ensureWorker() {
+    if (this.worker) return this.worker;
+    this.worker = new Worker(new URL('./solverWorker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (e) => {
+      const { id, result } = e.data;
+      const entry = this.pending.get(id);
+      if (!entry) return;
+      this.pending.delete(id);
+      entry.resolve(result);
+    };
+    this.worker.onerror = (e) => {
+      this._rejectAll(new Error(e.message || 'Solver worker failed'));
+      this.worker = null;
+    };
+    return this.worker;
+  }
+
+  /**
+   * Resolves with { status: 'solved' | 'unsolvable' | 'unknown', moves, nodes }.
+   */
+  solve(kind, position, options = {}) {
+    const worker = this._ensureWorker();
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      worker.postMessage({ id, kind, position, options });
+    });
+  }
+
+  isBusy() {
+    return this.pending.size > 0;
+  }
+
+  cancel() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this._rejectAll(new Error('cancelled'));
+  }
+
+  _rejectAll(error) {
+    for (const entry of this.pending.values()) entry.reject(error);
+    this.pending.clear();
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Card encoding and search helpers shared by the solvers.
+ *
+ * Cards are encoded as integers: suitIndex * 13 + (rank - 1), with suits in
+ * SUITS order. Red suits come first, so `suitIndex < 2` means red.
+ */
+
+export const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+
+export const rankOf = (c) => (c % 13) + 1;
+export const suitOf = (c) => Math.floor(c / 13);
+export const isRed = (c) => suitOf(c) < 2;
+
+export function encodeCard(card) {
+  return SUITS.indexOf(card.suit) * 13 + card.rank - 1;
+}
+
+/**
+ * Height of each suit's foundation, in SUITS order. Foundation piles in
+ * the game are not tied to a suit, so they are read by their top card.
+ */
+export function foundationHeights(state) {
+  const foundations = [0, 0, 0, 0];
+  for (const pile of state.getPilesByType('foundation')) {
+    const top = pile.topCard();
+    if (top) foundations[SUITS.indexOf(top.suit)] = top.rank;
+  }
+  return foundations;
+}
+
+/**
+ * A card may go home without ever being needed again if it is an ace or two,
+ * or both opposite-colour foundations are at least one rank below it —
+ * then nothing could still want to be built on it.
+ */
+export function isSafeHome(card, foundations) {
+  const rank = rankOf(card);
+  if (rank <= 2) return true;
+  const opposite = isRed(card) ? [2, 3] : [0, 1];
+  return foundations[opposite[0]] >= rank - 1 && foundations[opposite[1]] >= rank - 1;
+}
+
+// Down by one in alternate colours
+export function canStack(card, onto) {
+  return isRed(card) !== isRed(onto) && rankOf(card) === rankOf(onto) - 1;
+}
+
+/**
+ * Binary heap of search nodes ordered by their `f` score, lowest first.
+ */
+export class MinHeap {
+  constructor() { this.items = []; }
+  get size() { return this.items.length; }
+  push(item) {
+    const a = this.items;
+    a.push(item);
+    let i = a.length - 1;
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+      if (a[p].f <= a[i].f) break;
+      [a[p], a[i]] = [a[i], a[p]];
+      i = p;
+    }
+  }
+  pop() {
+    const a = this.items;
+    const top = a[0];
+    const last = a.pop();
+    if (a.length > 0) {
+      a[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = i * 2 + 1, r = l + 1;
+        let m = i;
+        if (l < a.length && a[l].f < a[m].f) m = l;
+        if (r < a.length && a[r].f < a[m].f) m = r;
+        if (m === i) break;
+        [a[m], a[i]] = [a[i], a[m]];
+        i = m;
+      }
+    }
+    return top;
+  }
+}
@@ -0,0 +1,18 @@
+import { solveFreeCell } from './FreeCellSolver.js';
+import { solveKlondike } from './KlondikeSolver.js';
+
+/**
+ * The solvers by the `kind` of BaseGame.getSolverInput(). Used by the
+ * solver worker and, with a small budget, by the dead-end check.
+ */
+const solvers = {
+  freecell: solveFreeCell,
+  klondike: solveKlondike
+};
+
+export function solve(kind, position, options) {
+  const solver = solvers[kind];
+  return solver
+    ? solver(position, options)
+    : { status: 'unknown', moves: [], nodes: 0 };
+}
@@ -0,0 +1,10 @@
+/**
+ * Web Worker entry point for the solvers, so long searches never block
+ * rendering. Messages: { id, kind, position, options } -> { id, result }.
+ */
+import { solve } from './solve.js';
+
+self.onmessage = (e) => {
+  const { id, kind, position, options } = e.data;
+  self.postMessage({ id, result: solve(kind, position, options) });
+};
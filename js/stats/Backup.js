@@ -0,0 +1,173 @@
+import { SaveError, isSlotOf, migrateSave, validateSave } from '../engine/SaveSchema.js';
+
+// Version of the backup file. Bump it when the layout changes and teach
+// parseBackup() to read the older ones.
+export const BACKUP_VERSION = 1;
+const FORMAT = 'pasianssi-backup';
+
+const SAVE_PREFIX = 'pasianssi-save-';
+// Neither is backed up: each device has its own
+const DEVICE_KEY = 'pasianssi-device';
+const MERGED_KEY = 'pasianssi-merged';
+const SETTINGS = ['pasianssi-hand', 'pasianssi-winnable', 'pasianssi-autoplay', 'pasianssi-bankroll', 'pasianssi-last-game'];
+
+/**
+ * A backup file that cannot be imported. The message is meant for the player.
+ */
+export class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BackupError';
+  }
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isCount = value => Number.isInteger(value) && value >= 0;
+
+// Check of each stored value that goes into a backup, by key
+const VALIDATORS = {
+  'pasianssi-stats': data => isObject(data) && Object.values(data).every(entry =>
+    isObject(entry) && isCount(entry.played) && isCount(entry.won) &&
+    (entry.recent === undefined || Array.isArray(entry.recent))),
+  'pasianssi-replays': items => Array.isArray(items) && items.every(item =>
+    isObject(item) && typeof item.gameId === 'string' && Number.isFinite(item.date) && Array.isArray(item.log)),
+  'pasianssi-daily': data => isObject(data) && Object.values(data).every(isObject),
+  'pasianssi-vegas-bankroll': total => Number.isFinite(total),
+  'pasianssi-options': isObject,
+  ...Object.fromEntries(SETTINGS.map(key => [key, value => typeof value === 'string']))
+};
+
+function isBackedUp(key) {
+  return key in VALIDATORS || key.startsWith(SAVE_PREFIX);
+}
+
+/**
+ * Everything worth keeping when moving to another device: saved games,
+ * settings, statistics and replays.
+ */
+export function createBackup(storage) {
+  const data = {};
+  for (const key of storage.keys('pasianssi-')) {
+    if (isBackedUp(key)) data[key] = storage.get(key);
+  }
+  return {
+    format: FORMAT,
+    version: BACKUP_VERSION,
+    device: deviceId(storage),
+    exported: new Date().toISOString(),
+    data
+  };
+}
+
+// Random id telling this device's backups apart from other devices'
+function deviceId(storage) {
+  let id = storage.get(DEVICE_KEY);
+  if (typeof id !== 'string') {
+    id = crypto.randomUUID();
+    storage.set(DEVICE_KEY, id);
+  }
+  return id;
+}
+
+/**
+ * Read and check a backup file. Throws BackupError with a message for the
+ * player; nothing is imported from a file that fails any check.
+ */
+export function parseBackup(text, gameIds) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    throw new BackupError('Tiedosto ei ole Pasianssin varmuuskopio.');
+  }
+  if (!isObject(backup) || backup.format !== FORMAT || !isObject(backup.data)) {
+    throw new BackupError('Tiedosto ei ole Pasianssin varmuuskopio.');
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new BackupError('Varmuuskopion versiotieto on virheellinen.');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new BackupError('Varmuuskopio on tehty sovelluksen uudemmalla versiolla. Päivitä sovellus ensin.');
+  }
+
+  const data = {};
+  for (const [key, value] of Object.entries(backup.data)) {
+    if (key.startsWith(SAVE_PREFIX)) {
+      data[key] = checkSave(key, value, gameIds);
+    } else if (key in VALIDATORS) {
+      if (!VALIDATORS[key](value)) throw new BackupError(`Varmuuskopion tieto "${key}" on vioittunut.`);
+      data[key] = value;
+    }
+    // Anything else comes from a newer version and is left out
+  }
+  return { ...backup, data };
+}
+
+function checkSave(key, value, gameIds) {
+  // Kept as it is: it could not be restored on the other device either
+  if (key === `${SAVE_PREFIX}unrestored`) return value;
+  try {
+    if (!isObject(value) || !isSlotOf(key.slice(SAVE_PREFIX.length), value.gameId) || !value.piles) {
+      throw new SaveError('Tallennus on vioittunut.');
+    }
+    const save = migrateSave(value);
+    validateSave(save, gameIds);
+    return save;
+  } catch (e) {
+    if (!(e instanceof SaveError)) throw e;
+    throw new BackupError(`Varmuuskopion keskeneräinen peli ei kelpaa: ${e.message}`);
+  }
+}
+
+/**
+ * Make the backup the whole of this device's data.
+ */
+export function replaceWithBackup(storage, backup) {
+  for (const key of storage.keys('pasianssi-')) {
+    if (isBackedUp(key)) storage.remove(key);
+  }
+  for (const [key, value] of Object.entries(backup.data)) storage.set(key, value);
+}
+
+/**
+ * Add the backup's statistics, daily challenges, replays and Vegas
+ * winnings to this device's. Settings stay as they are, and so do games in
+ * progress: the backup's are only taken for slots without one here.
+ *
+ * What was taken from each device is remembered, so a later backup of the
+ * same device only adds what has been played since. Throws BackupError
+ * for this device's own backups and ones already merged.
+ */
+export function mergeBackup(backup, { storage, stats, daily, replays, bankroll }) {
+  // Backups of earlier versions have no device id; their stamp still
+  // tells a second import of the same file
+  const device = typeof backup.device === 'string' ? backup.device : String(backup.exported);
+  if (device === storage.get(DEVICE_KEY)) {
+    throw new BackupError('Varmuuskopio on tehty tällä laitteella. Yhdistä se toiselle laitteelle tai korvaa tiedot sillä.');
+  }
+  const merged = storage.get(MERGED_KEY) || {};
+  const previous = merged[device] || { exported: '', stats: {}, bankroll: 0 };
+  if (typeof backup.exported === 'string' && backup.exported <= previous.exported) {
+    throw new BackupError('Tämä varmuuskopio tai uudempi samalta laitteelta on jo yhdistetty.');
+  }
+
+  const data = backup.data;
+  const theirStats = data['pasianssi-stats'] || {};
+  const theirBankroll = data['pasianssi-vegas-bankroll'] || 0;
+  stats.merge(theirStats, previous.stats);
+  if (data['pasianssi-daily']) daily.merge(data['pasianssi-daily']);
+  if (data['pasianssi-replays']) replays.merge(data['pasianssi-replays']);
+  bankroll.add(theirBankroll - previous.bankroll);
+
+  merged[device] = {
+    exported: typeof backup.exported === 'string' ? backup.exported : '',
+    stats: Object.fromEntries(Object.entries(theirStats)
+      .map(([gameId, entry]) => [gameId, { played: entry.played, won: entry.won }])),
+    bankroll: theirBankroll
+  };
+  storage.set(MERGED_KEY, merged);
+
+  for (const [key, value] of Object.entries(data)) {
+    if (key.startsWith(SAVE_PREFIX) && storage.get(key) == null) storage.set(key, value);
+  }
+}
@@ -0,0 +1,25 @@
+const STORAGE_KEY = 'pasianssi-vegas-bankroll';
+
+/**
+ * Cumulative Vegas winnings across games, kept in storage.
+ */
+export class Bankroll {
+  constructor(storage) {
+    this.storage = storage;
+    this.total = this._load();
+  }
+
+  _load() {
+    const total = Number(this.storage.get(STORAGE_KEY));
+    return Number.isFinite(total) ? total : 0;
+  }
+
+  _save() {
+    this.storage.set(STORAGE_KEY, this.total);
+  }
+
+  add(amount) {
+    this.total += amount;
+    this._save();
+  }
+}
@@ -0,0 +1,86 @@
+import { MAX_DEAL_NUMBER } from '../engine/Random.js';
+
+const STORAGE_KEY = 'pasianssi-daily';
+
+// Variants offered as daily challenges, always with default options
+export const DAILY_GAMES = ['klondike', 'spider-2', 'freecell'];
+
+/**
+ * Local calendar date as YYYY-MM-DD.
+ */
+export function dateKey(date = new Date()) {
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${m}-${d}`;
+}
+
+/**
+ * Deal number for a date and variant. A plain string hash (FNV-1a), so every
+ * player gets the same deal on the same date without asking a server.
+ */
+export function dailyDealNumber(date, gameId) {
+  const text = `${date}/${gameId}`;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return 1 + ((h >>> 0) % MAX_DEAL_NUMBER);
+}
+
+/**
+ * Completed daily challenges, kept in storage as
+ * { 'YYYY-MM-DD': { gameId: { time, moves, undos } } }.
+ */
+export class DailyChallenge {
+  constructor(storage) {
+    this.storage = storage;
+    this.data = this._load();
+  }
+
+  _load() {
+    const data = this.storage.get(STORAGE_KEY);
+    return data && typeof data === 'object' ? data : {};
+  }
+
+  _save() {
+    this.storage.set(STORAGE_KEY, this.data);
+  }
+
+  /**
+   * Store a win. Only the first completion of a day's deal counts.
+   */
+  recordCompletion(date, gameId, result) {
+    const day = this.data[date] || {};
+    if (day[gameId]) return;
+    day[gameId] = { time: result.time, moves: result.moves, undos: result.undos };
+    this.data[date] = day;
+    this._save();
+  }
+
+  /**
+   * Add completions from a backup. A challenge completed on both devices
+   * keeps the result already here.
+   */
+  merge(other) {
+    for (const [date, games] of Object.entries(other)) {
+      this.data[date] = { ...games, ...this.data[date] };
+    }
+    this._save();
+  }
+
+  getResult(date, gameId) {
+    return (this.data[date] || {})[gameId] || null;
+  }
+
+  /**
+   * Number of challenges completed on each date.
+   */
+  completionCounts() {
+    const counts = {};
+    for (const [date, games] of Object.entries(this.data)) {
+      counts[date] = Object.keys(games).length;
+    }
+    return counts;
+  }
+}
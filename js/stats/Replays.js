@@ -0,0 +1,43 @@
+const STORAGE_KEY = 'pasianssi-replays';
+const MAX_REPLAYS = 20;
+
+/**
+ * Recently finished games with their full move log, newest first, kept in
+ * storage: { date, gameId, dealNumber, options, won, time, moves, log }.
+ */
+export class Replays {
+  constructor(storage) {
+    this.storage = storage;
+    this.items = this._load();
+  }
+
+  _load() {
+    const items = this.storage.get(STORAGE_KEY);
+    return Array.isArray(items) ? items : [];
+  }
+
+  _save() {
+    this.storage.set(STORAGE_KEY, this.items);
+  }
+
+  add(replay) {
+    this.items = [replay, ...this.items].slice(0, MAX_REPLAYS);
+    this._save();
+  }
+
+  /**
+   * Add replays from a backup, skipping ones already here.
+   */
+  merge(items) {
+    const seen = new Set(this.items.map(item => `${item.date}/${item.gameId}`));
+    const added = items.filter(item => !seen.has(`${item.date}/${item.gameId}`));
+    this.items = [...this.items, ...added]
+      .sort((a, b) => b.date - a.date)
+      .slice(0, MAX_REPLAYS);
+    this._save();
+  }
+
+  list() {
+    return this.items;
+  }
+}
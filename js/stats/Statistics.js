@@ -0,0 +1,114 @@
+const STORAGE_KEY = 'pasianssi-stats';
+const RECENT_LIMIT = 10;
+
+function smaller(a, b) {
+  if (a == null) return b;
+  if (b == null) return a;
+  return Math.min(a, b);
+}
+
+function emptyEntry() {
+  return {
+    played: 0,
+    won: 0,
+    currentStreak: 0,
+    longestStreak: 0,
+    bestTime: null,
+    fewestMoves: null,
+    // Newest first: { date, won, time, moves, dealNumber }
+    recent: []
+  };
+}
+
+/**
+ * Per-variant game results, kept in storage.
+ */
+export class Statistics {
+  constructor(storage) {
+    this.storage = storage;
+    this.data = this._load();
+  }
+
+  _load() {
+    const data = this.storage.get(STORAGE_KEY);
+    return data && typeof data === 'object' ? data : {};
+  }
+
+  _save() {
+    this.storage.set(STORAGE_KEY, this.data);
+  }
+
+  /**
+   * Record a finished game: { won, time (ms), moves, dealNumber }.
+   * Best time and fewest moves only count won games.
+   */
+  recordResult(gameId, result) {
+    const entry = this.get(gameId);
+    entry.played++;
+    if (result.won) {
+      entry.won++;
+      entry.currentStreak++;
+      entry.longestStreak = Math.max(entry.longestStreak, entry.currentStreak);
+      if (entry.bestTime == null || result.time < entry.bestTime) entry.bestTime = result.time;
+      if (entry.fewestMoves == null || result.moves < entry.fewestMoves) entry.fewestMoves = result.moves;
+    } else {
+      entry.currentStreak = 0;
+    }
+    entry.recent = [{
+      date: Date.now(),
+      won: result.won,
+      time: result.time,
+      moves: result.moves,
+      dealNumber: result.dealNumber
+    }, ...entry.recent].slice(0, RECENT_LIMIT);
+    this.data[gameId] = entry;
+    this._save();
+  }
+
+  get(gameId) {
+    // Older saves only have played/won; fill in the rest
+    return { ...emptyEntry(), ...this.data[gameId] };
+  }
+
+  /**
+   * Win percentage rounded to a whole number, or null before any games.
+   */
+  winRate(gameId) {
+    const entry = this.get(gameId);
+    return entry.played > 0 ? Math.round(100 * entry.won / entry.played) : null;
+  }
+
+  /**
+   * Add the results of another device, from a backup, to these.
+   * `already` holds the played and won counts per variant taken from an
+   * earlier backup of the same device; only games since then are added.
+   */
+  merge(other, already = {}) {
+    for (const [gameId, entry] of Object.entries(other)) {
+      const ours = this.get(gameId);
+      const theirs = { ...emptyEntry(), ...entry };
+      const taken = already[gameId] || { played: 0, won: 0 };
+      // The streak still running is the one of whichever played last
+      const ourLast = ours.recent.length > 0 ? ours.recent[0].date : 0;
+      const theirLast = theirs.recent.length > 0 ? theirs.recent[0].date : 0;
+      const seen = new Set(ours.recent.map(game => game.date));
+      this.data[gameId] = {
+        played: ours.played + Math.max(0, theirs.played - taken.played),
+        won: ours.won + Math.max(0, theirs.won - taken.won),
+        currentStreak: ourLast >= theirLast ? ours.currentStreak : theirs.currentStreak,
+        longestStreak: Math.max(ours.longestStreak, theirs.longestStreak),
+        bestTime: smaller(ours.bestTime, theirs.bestTime),
+        fewestMoves: smaller(ours.fewestMoves, theirs.fewestMoves),
+        recent: [...ours.recent, ...theirs.recent.filter(game => !seen.has(game.date))]
+          .sort((a, b) => b.date - a.date)
+          .slice(0, RECENT_LIMIT)
+      };
+    }
+    this._save();
+  }
+
+  reset(gameId) {
+    delete this.data[gameId];
+    this._save();
+  }
+}
@@ -0,0 +1,200 @@
+const DB_NAME = 'pasianssi';
+const DB_VERSION = 1;
+const STORE = 'data';
+// Keys of earlier versions in localStorage all start with this
+const LEGACY_PREFIX = 'pasianssi-';
+const MIGRATED_KEY = 'localstorage-migrated';
+
+// Values were written to localStorage both as JSON and as plain strings
+// ('left', 'on'); plain strings are kept as they are
+function parseStored(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return raw;
+  }
+}
+
+function describeError(e) {
+  return e && e.name === 'QuotaExceededError'
+    ? 'Laitteen tallennustila on täynnä, joten muutoksia ei tallennettu.'
+    : 'Tietojen tallennus epäonnistui.';
+}
+
+/**
+ * Persistent key-value storage for saves, statistics, replays and
+ * settings. Backed by IndexedDB, read into memory on open() so reads stay
+ * synchronous; writes go to the database in the background. Falls back to
+ * localStorage where IndexedDB is not available (e.g. private browsing).
+ */
+export class Storage {
+  constructor() {
+    this.db = null;
+    this.cache = new Map();
+    // Called with a message for the player when a write fails
+    this.onWriteError = null;
+    // Set while another tab owns the data; writes are dropped
+    this.readOnly = false;
+    // Asked before each write; returning false drops the write
+    this.canWrite = null;
+    this._writes = new Set();
+  }
+
+  async open() {
+    try {
+      this.db = await this._openDatabase();
+      await this._loadAll();
+      await this._migrateLocalStorage();
+    } catch (e) {
+      if (this.db) this.db.close();
+      this.db = null;
+      this.cache.clear();
+    }
+  }
+
+  /**
+   * The stored value, or null if there is none.
+   */
+  get(key) {
+    if (this.db) return this.cache.has(key) ? this.cache.get(key) : null;
+    try {
+      const raw = localStorage.getItem(key);
+      return raw === null ? null : parseStored(raw);
+    } catch (e) { return null; }
+  }
+
+  set(key, value) {
+    this._put(key, value);
+  }
+
+  remove(key) {
+    this._put(key, undefined);
+  }
+
+  /**
+   * Resolves once the writes started so far have finished.
+   */
+  async flush() {
+    await Promise.all([...this._writes]);
+  }
+
+  /**
+   * All stored keys starting with the prefix.
+   */
+  keys(prefix = '') {
+    let keys = [];
+    if (this.db) {
+      keys = [...this.cache.keys()];
+    } else {
+      try {
+        for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+      } catch (e) { /* storage disabled */ }
+    }
+    return keys.filter(key => key.startsWith(prefix));
+  }
+
+  // undefined removes the key
+  _put(key, value) {
+    if (this.readOnly || (this.canWrite && !this.canWrite())) return;
+    if (!this.db) {
+      try {
+        if (value === undefined) localStorage.removeItem(key);
+        else localStorage.setItem(key, JSON.stringify(value));
+      } catch (e) {
+        this._reportError(e);
+      }
+      return;
+    }
+    if (value === undefined) {
+      this.cache.delete(key);
+    } else {
+      // A copy, as the database would store it: later changes to the
+      // caller's objects (e.g. a growing move log) must not leak in
+      try {
+        value = structuredClone(value);
+      } catch (e) {
+        this._reportError(e);
+        return;
+      }
+      this.cache.set(key, value);
+    }
+    const write = this._write([[key, value]])
+      .catch(e => this._reportError(e))
+      .finally(() => this._writes.delete(write));
+    this._writes.add(write);
+  }
+
+  _reportError(e) {
+    if (this.onWriteError) this.onWriteError(describeError(e));
+  }
+
+  _openDatabase() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error('IndexedDB upgrade blocked'));
+    });
+  }
+
+  _loadAll() {
+    return new Promise((resolve, reject) => {
+      const req = this.db.transaction(STORE).objectStore(STORE).openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        this.cache.set(cursor.key, cursor.value);
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /**
+   * Write entries in one transaction; an undefined value deletes the key.
+   */
+  _write(entries) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+      for (const [key, value] of entries) {
+        if (value === undefined) store.delete(key);
+        else store.put(value, key);
+      }
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Move the data of earlier versions (saved game, handedness and the
+   * rest) from localStorage into the database, once.
+   */
+  async _migrateLocalStorage() {
+    if (this.cache.has(MIGRATED_KEY)) return;
+    const entries = [];
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(LEGACY_PREFIX)) entries.push([key, parseStored(localStorage.getItem(key))]);
+      }
+    } catch (e) { /* storage disabled: nothing to migrate */ }
+
+    const migratedAt = Date.now();
+    await this._write([...entries, [MIGRATED_KEY, migratedAt]]);
+    for (const [key, value] of entries) this.cache.set(key, value);
+    this.cache.set(MIGRATED_KEY, migratedAt);
+    try {
+      for (const [key] of entries) localStorage.removeItem(key);
+    } catch (e) { /* left behind, but no longer read */ }
+  }
+}
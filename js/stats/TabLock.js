@@ -0,0 +1,153 @@
+const CHANNEL = 'pasianssi-tabs';
+// localStorage key carrying messages where BroadcastChannel is missing
+const MESSAGE_KEY = 'tabs-message';
+// localStorage key holding the latest claim, for tabs that missed it
+const CLAIM_KEY = 'tabs-claim';
+// How long to wait for an owning tab to answer on start-up
+const PING_MS = 300;
+// How long a tab taking over waits for the owner to finish its writes
+const RELEASE_TIMEOUT_MS = 2000;
+
+/**
+ * Only one tab at a time may play and write to storage; otherwise two
+ * tabs would overwrite each other's saves and statistics. Tabs talk over
+ * BroadcastChannel, or the storage event where that is not available.
+ *
+ * The latest claim wins: a tab taking over sends a claim, and the owner
+ * gives up after saving, answering "released". Claims are ordered by time
+ * and then tab id, so tabs claiming at once agree on the winner.
+ *
+ * A tab frozen in the background misses the claim and the taking tab
+ * carries on after a timeout. The claim is also kept in localStorage, and
+ * checkOwner() reads it before each write and whenever the tab is shown.
+ */
+export class TabLock {
+  constructor() {
+    this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    this.owner = false;
+    this.claim = null;
+    // Set while saving for the tab taking over, the last writes allowed
+    this._releasing = false;
+    // Called (and awaited) when another tab takes over, before "released".
+    // Passed true when the claim was missed and it is too late to save.
+    this.onLost = null;
+    this._listeners = new Set();
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CHANNEL);
+      this.channel.onmessage = (e) => this._receive(e.data);
+    } else {
+      this.channel = null;
+      window.addEventListener('storage', (e) => {
+        if (e.key === MESSAGE_KEY && e.newValue) this._receive(JSON.parse(e.newValue));
+      });
+    }
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') this.checkOwner();
+    });
+  }
+
+  /**
+   * Become the owner unless another tab already is. Resolves to whether
+   * this tab owns the game.
+   */
+  async acquire() {
+    const answer = this._waitFor('owner', PING_MS);
+    this._post({ type: 'ping' });
+    if (await answer) return false;
+    this._claim();
+    return true;
+  }
+
+  /**
+   * Take the game over from the tab that owns it. Resolves once that tab
+   * has saved and let go, or after a timeout if it does not answer.
+   */
+  async takeOver() {
+    const released = this._waitFor('released', RELEASE_TIMEOUT_MS);
+    this._claim();
+    await released;
+  }
+
+  _claim() {
+    this.claim = { at: Date.now(), id: this.id };
+    this.owner = true;
+    try {
+      localStorage.setItem(CLAIM_KEY, JSON.stringify(this.claim));
+    } catch (e) { /* storage disabled: the messages still go out */ }
+    this._post({ type: 'claim', claim: this.claim });
+  }
+
+  /**
+   * Whether this tab still owns the game, rechecked against the latest
+   * claim in case its message was missed while the tab was frozen.
+   */
+  checkOwner() {
+    if (this._releasing) return true;
+    if (this.owner && isLater(readClaim(), this.claim)) {
+      this.owner = false;
+      if (this.onLost) this.onLost(true);
+    }
+    return this.owner;
+  }
+
+  async _receive(msg) {
+    if (!msg || msg.from === this.id) return;
+    for (const listener of this._listeners) listener(msg);
+
+    if (msg.type === 'ping' && this.owner) {
+      this._post({ type: 'owner' });
+    } else if (msg.type === 'claim' && this.owner && isLater(msg.claim, this.claim)) {
+      this.owner = false;
+      this._releasing = true;
+      try {
+        if (this.onLost) await this.onLost(false);
+      } finally {
+        this._releasing = false;
+      }
+      this._post({ type: 'released' });
+    }
+  }
+
+  // Resolves to true when a message of the type arrives, false on timeout
+  _waitFor(type, timeout) {
+    return new Promise(resolve => {
+      const done = (result) => {
+        clearTimeout(timer);
+        this._listeners.delete(listener);
+        resolve(result);
+      };
+      const listener = (msg) => {
+        if (msg.type === type) done(true);
+      };
+      const timer = setTimeout(() => done(false), timeout);
+      this._listeners.add(listener);
+    });
+  }
+
+  _post(msg) {
+    msg = { ...msg, from: this.id };
+    if (this.channel) {
+      this.channel.postMessage(msg);
+      return;
+    }
+    try {
+      // A unique value each time so the storage event always fires
+      localStorage.setItem(MESSAGE_KEY, JSON.stringify({ ...msg, nonce: Math.random() }));
+    } catch (e) { /* storage disabled: nobody to talk to */ }
+  }
+}
+
+function isLater(a, b) {
+  if (!a) return false;
+  return a.at > b.at || (a.at === b.at && a.id > b.id);
+}
+
+function readClaim() {
+  try {
+    const claim = JSON.parse(localStorage.getItem(CLAIM_KEY));
+    return claim && Number.isFinite(claim.at) && typeof claim.id === 'string' ? claim : null;
+  } catch (e) {
+    return null;
+  }
+}
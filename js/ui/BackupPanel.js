@@ -0,0 +1,79 @@
+import { BackupError, createBackup, parseBackup, replaceWithBackup, mergeBackup } from '../stats/Backup.js';
+import { dateKey } from '../stats/DailyChallenge.js';
+
+/**
+ * Backup dialog in the menu settings: all user data out to a JSON file,
+ * and back in from one, either replacing this device's data or merging
+ * the statistics into it.
+ */
+export class BackupPanel {
+  constructor(gameController, games) {
+    this.gc = gameController;
+    this.gameIds = games.map(g => g.id);
+    this.modal = document.getElementById('backup-modal');
+    this.errorEl = document.getElementById('backup-error');
+    this.fileInput = document.getElementById('backup-file');
+
+    document.getElementById('btn-backup').addEventListener('click', () => this.open());
+    document.getElementById('backup-export').addEventListener('click', () => this.exportFile());
+    document.getElementById('backup-import').addEventListener('click', () => this.fileInput.click());
+    this.fileInput.addEventListener('change', () => {
+      const file = this.fileInput.files[0];
+      // Let the same file be picked again after fixing a problem
+      this.fileInput.value = '';
+      if (file) this.importFile(file);
+    });
+    document.getElementById('backup-close').addEventListener('click', () => this.close());
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) this.close();
+    });
+  }
+
+  open() {
+    this.errorEl.textContent = '';
+    this.modal.style.display = 'flex';
+  }
+
+  close() {
+    this.modal.style.display = 'none';
+  }
+
+  exportFile() {
+    const backup = createBackup(this.gc.storage);
+    const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `pasianssi-varmuuskopio-${dateKey()}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async importFile(file) {
+    this.errorEl.textContent = '';
+    let backup;
+    try {
+      backup = parseBackup(await file.text(), this.gameIds);
+    } catch (e) {
+      this.errorEl.textContent = e instanceof BackupError ? e.message : 'Tiedoston lukeminen ei onnistunut.';
+      return;
+    }
+
+    const mode = this.modal.querySelector('input[name="backup-mode"]:checked').value;
+    if (mode === 'replace') {
+      if (!confirm('Korvataanko tämän laitteen pelit, asetukset ja tilastot varmuuskopiolla?')) return;
+      replaceWithBackup(this.gc.storage, backup);
+    } else {
+      try {
+        mergeBackup(backup, this.gc);
+      } catch (e) {
+        if (!(e instanceof BackupError)) throw e;
+        this.errorEl.textContent = e.message;
+        return;
+      }
+    }
+    await this.gc.storage.flush();
+    // Start over from the imported data
+    location.reload();
+  }
+}
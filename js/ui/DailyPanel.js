@@ -0,0 +1,141 @@
+import { DAILY_GAMES, dateKey } from '../stats/DailyChallenge.js';
+import { formatTime } from './format.js';
+
+const MONTHS = ['tammikuu', 'helmikuu', 'maaliskuu', 'huhtikuu', 'toukokuu', 'kesäkuu',
+  'heinäkuu', 'elokuu', 'syyskuu', 'lokakuu', 'marraskuu', 'joulukuu'];
+const WEEKDAYS = ['ma', 'ti', 'ke', 'to', 'pe', 'la', 'su'];
+
+function formatDate(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return `${d}.${m}.${y}`;
+}
+
+/**
+ * "Päivän haaste": today's deals and a calendar of completed days in the
+ * menu, and the shareable result dialog after winning one.
+ */
+export class DailyPanel {
+  constructor(gameController, games) {
+    this.gc = gameController;
+    this.names = Object.fromEntries(games.map(g => [g.id, g.name]));
+    // First day of the month shown in the calendar
+    this.month = new Date();
+    this.month.setDate(1);
+
+    this.modal = document.getElementById('daily-modal');
+    this.dateEl = document.getElementById('daily-date');
+    this.gamesEl = document.getElementById('daily-games');
+    this.monthEl = document.getElementById('daily-month');
+    this.calendarEl = document.getElementById('daily-calendar');
+
+    this.resultModal = document.getElementById('daily-result-modal');
+    this.resultText = document.getElementById('daily-result-text');
+    this.btnShare = document.getElementById('daily-share');
+
+    document.getElementById('daily-prev').addEventListener('click', () => this._shiftMonth(-1));
+    document.getElementById('daily-next').addEventListener('click', () => this._shiftMonth(1));
+    document.getElementById('daily-close').addEventListener('click', () => this.close());
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) this.close();
+    });
+
+    document.getElementById('daily-copy').addEventListener('click', () => this._copyResult());
+    this.btnShare.addEventListener('click', () => this._shareResult());
+    this.btnShare.style.display = navigator.share ? '' : 'none';
+    document.getElementById('daily-result-close').addEventListener('click', () => {
+      this.resultModal.style.display = 'none';
+    });
+  }
+
+  open() {
+    this.month = new Date();
+    this.month.setDate(1);
+    this.render();
+    this.modal.style.display = 'flex';
+  }
+
+  close() {
+    this.modal.style.display = 'none';
+  }
+
+  render() {
+    const today = dateKey();
+    this.dateEl.textContent = formatDate(today);
+
+    this.gamesEl.innerHTML = '';
+    for (const gameId of DAILY_GAMES) {
+      const result = this.gc.daily.getResult(today, gameId);
+      const btn = document.createElement('button');
+      btn.className = 'menu-game-btn';
+      const status = result
+        ? `&#x2713; Ratkaistu: ${formatTime(result.time)}, ${result.moves} siirtoa`
+        : 'Ei vielä ratkaistu';
+      btn.innerHTML = `<div class="game-name">${this.names[gameId]}</div><div class="game-desc">${status}</div>`;
+      btn.classList.toggle('daily-done', !!result);
+      btn.addEventListener('click', () => {
+        this.close();
+        this.gc.startDailyChallenge(gameId);
+      });
+      this.gamesEl.appendChild(btn);
+    }
+
+    this._renderCalendar(today);
+  }
+
+  _shiftMonth(delta) {
+    this.month.setMonth(this.month.getMonth() + delta);
+    this._renderCalendar(dateKey());
+  }
+
+  _renderCalendar(today) {
+    const year = this.month.getFullYear();
+    const month = this.month.getMonth();
+    this.monthEl.textContent = `${MONTHS[month]} ${year}`;
+
+    const counts = this.gc.daily.completionCounts();
+    const cells = WEEKDAYS.map(d => `<div class="daily-weekday">${d}</div>`);
+    // Weeks start on Monday
+    const lead = (new Date(year, month, 1).getDay() + 6) % 7;
+    for (let i = 0; i < lead; i++) cells.push('<div></div>');
+
+    const days = new Date(year, month + 1, 0).getDate();
+    for (let day = 1; day <= days; day++) {
+      const key = dateKey(new Date(year, month, day));
+      const count = counts[key] || 0;
+      const classes = ['daily-day'];
+      if (count > 0) classes.push(count >= DAILY_GAMES.length ? 'daily-all' : 'daily-some');
+      if (key === today) classes.push('daily-today');
+      const title = count > 0 ? `${count}/${DAILY_GAMES.length} ratkaistu` : '';
+      cells.push(`<div class="${classes.join(' ')}" title="${title}">${day}</div>`);
+    }
+    this.calendarEl.innerHTML = cells.join('');
+  }
+
+  /**
+   * Show the result of a won daily challenge.
+   */
+  showResult(date, gameId, result) {
+    const undos = result.undos === 1 ? '1 peruminen' : `${result.undos} perumista`;
+    this.resultText.textContent = [
+      `Pasianssi – Päivän haaste ${formatDate(date)}`,
+      `${this.names[gameId]} ✓`,
+      `⏱ ${formatTime(result.time)} · ${result.moves} siirtoa · ${undos}`
+    ].join('\n');
+    this.resultModal.style.display = 'flex';
+  }
+
+  async _copyResult() {
+    try {
+      await navigator.clipboard.writeText(this.resultText.textContent);
+      this.gc.hud.showToast('Tulos kopioitu leikepöydälle');
+    } catch (e) {
+      this.gc.hud.showToast('Kopiointi ei onnistunut');
+    }
+  }
+
+  async _shareResult() {
+    try {
+      await navigator.share({ text: this.resultText.textContent });
+    } catch (e) { /* share sheet dismissed */ }
+  }
+}
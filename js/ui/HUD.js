@@ -1,19 +1,54 @@
+import { formatTime } from './format.js';
+
+function formatDollars(amount) {
+  return `${amount < 0 ? '−' : ''}${Math.abs(amount)} $`;
+}
+
 export class HUD {
   constructor(gameController) {
     this.gc = gameController;
     this.timerInterval = null;
 
     this.moveCountEl = document.getElementById('move-count');
+    this.scoreEl = document.getElementById('score');
     this.timerEl = document.getElementById('timer');
+    this.dealNumberEl = document.getElementById('deal-number');
+    this.dealStatusEl = document.getElementById('deal-status');
     this.btnUndo = document.getElementById('btn-undo');
+    this.btnRedo = document.getElementById('btn-redo');
+    this.btnHistory = document.getElementById('btn-history');
+    this.historyBar = document.getElementById('history-bar');
+    this.scrubber = document.getElementById('history-scrubber');
+    this.historyPos = document.getElementById('history-pos');
+    this.btnBranch = document.getElementById('btn-branch');
     this.btnNew = document.getElementById('btn-new');
+    this.btnRestart = document.getElementById('btn-restart');
+    this.btnHint = document.getElementById('btn-hint');
+    this.btnSolver = document.getElementById('btn-solver');
+    this.btnAutoComplete = document.getElementById('btn-autocomplete');
+    this.toastEl = document.getElementById('toast');
+    this.toastTimer = null;
 
     this.btnUndo.addEventListener('click', () => this.gc.undo());
-    this.btnNew.addEventListener('click', () => {
+    this.btnRedo.addEventListener('click', () => this.gc.redo());
+    this.btnHistory.addEventListener('click', () => this.toggleHistoryBar());
+    this.scrubber.addEventListener('input', () => this.gc.jumpToHistory(Number(this.scrubber.value)));
+    this.btnBranch.addEventListener('click', () => this.gc.nextHistoryBranch());
+    this.btnHint.addEventListener('click', () => this.gc.showHint());
+    this.btnAutoComplete.addEventListener('click', () => this.gc.autoComplete());
+    this.btnSolver.addEventListener('click', () => {
+      if (this.gc.solver.playing) {
+        this.gc.solver.stop();
+      } else {
+        this.gc.solver.open();
+      }
+    });
+    this.btnNew.addEventListener('click', () => this.gc.playNewDeal());
+    this.btnRestart.addEventListener('click', () => {
       if (this.gc._hasActiveGame()) {
-        if (!confirm('Aloitetaanko uusi peli? Nykyinen peli hävitetään.')) return;
+        if (!confirm('Aloitetaanko sama jako alusta?')) return;
       }
-      this.gc.newGame();
+      this.gc.restartDeal();
     });
   }
 
@@ -34,17 +69,90 @@ export class HUD {
     if (!game) return;
 
     this.moveCountEl.textContent = `Siirrot: ${game.state.moveCount}`;
-    this.btnUndo.disabled = !game.state.canUndo();
+    this._updateScore(game);
+    this.dealNumberEl.textContent = game.state.dealNumber != null ? `#${game.state.dealNumber}` : '';
+    this._updateDealStatus(game.state.verified);
+    // An imported layout without a deal number cannot be dealt again
+    this.btnRestart.disabled = game.state.dealNumber == null;
+    this.btnUndo.disabled = !this.gc.canUndo();
+    this.btnRedo.disabled = !game.state.canRedo();
+    this.btnSolver.style.display = this.gc.solver.isAvailable() ? '' : 'none';
+    this.btnAutoComplete.style.display = game.canAutoComplete() ? '' : 'none';
+    this.btnSolver.classList.toggle('active', this.gc.solver.playing);
+    this.btnSolver.innerHTML = this.gc.solver.playing ? '&#x25A0;' : '&#x1F50E;';
+    this._updateHistoryBar();
     this.updateTimer();
   }
 
+  _updateScore(game) {
+    if (game.scoring === 'none') {
+      this.scoreEl.style.display = 'none';
+      return;
+    }
+    this.scoreEl.style.display = '';
+    const score = game.state.score;
+    if (game.scoring === 'vegas') {
+      let text = `Vegas: ${formatDollars(score)}`;
+      if (this.gc.vegasBankroll) {
+        // The running game counts towards the bankroll until it is settled
+        const total = this.gc.bankroll.total + (game.bankrollSettled ? 0 : score);
+        text += ` · Kassa: ${formatDollars(total)}`;
+      }
+      this.scoreEl.textContent = text;
+    } else if (game.scoring === 'streak') {
+      this.scoreEl.textContent = `Pisteet: ${score} · Putki: ${game.state.streak}`;
+    } else {
+      this.scoreEl.textContent = `Pisteet: ${score}`;
+    }
+  }
+
+  _updateDealStatus(verified) {
+    const el = this.dealStatusEl;
+    el.style.display = verified == null ? 'none' : '';
+    el.classList.toggle('unverified', verified === false);
+    el.textContent = verified ? '\u2713' : 'Ei varmistettu';
+    el.title = verified
+      ? 'Ratkaisija on todennut jaon voitettavaksi'
+      : 'Ratkaisija ei ehtinyt tai osannut varmistaa, onko jako voitettavissa';
+  }
+
+  /**
+   * Show a short message over the board for a couple of seconds.
+   */
+  showToast(message, duration = 2000) {
+    this.toastEl.textContent = message;
+    this.toastEl.classList.add('visible');
+    clearTimeout(this.toastTimer);
+    this.toastTimer = setTimeout(() => this.toastEl.classList.remove('visible'), duration);
+  }
+
+  toggleHistoryBar() {
+    const show = this.historyBar.style.display === 'none';
+    this.historyBar.style.display = show ? 'flex' : 'none';
+    this.btnHistory.classList.toggle('active', show);
+    this._updateHistoryBar();
+    this.gc._onResize();
+  }
+
+  _updateHistoryBar() {
+    if (this.historyBar.style.display === 'none') return;
+    const history = this.gc.game.state.history;
+    const last = history.line().length - 1;
+    const pos = history.position();
+    this.scrubber.max = String(last);
+    this.scrubber.value = String(pos);
+    this.scrubber.disabled = last === 0;
+    this.historyPos.textContent = `${pos}/${last}`;
+
+    const branches = history.branchCount();
+    this.btnBranch.style.display = branches > 1 ? '' : 'none';
+    this.btnBranch.textContent = `Haara ${history.branchIndex() + 1}/${branches}`;
+  }
+
   updateTimer() {
     const game = this.gc.game;
     if (!game || !game.state.startTime) return;
 
-    const elapsed = Math.floor((Date.now() - game.state.startTime) / 1000);
-    const min = Math.floor(elapsed / 60);
-    const sec = elapsed % 60;
-    this.timerEl.textContent = `${min}:${sec.toString().padStart(2, '0')}`;
+    this.timerEl.textContent = formatTime(Date.now() - game.state.startTime);
   }
 }
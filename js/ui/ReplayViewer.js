@@ -0,0 +1,174 @@
+import { createGame } from '../rules/GameRegistry.js';
+import { Replay } from '../engine/Replay.js';
+import { formatTime } from './format.js';
+
+// Delay between steps at 1× speed
+const BASE_STEP_MS = 700;
+
+const ENTRY_LABELS = {
+  move: 'Siirto',
+  stock: 'Nosto pakasta',
+  pair: 'Pari poistettu',
+  auto: 'Automaattinen siirto',
+  undo: 'Kumottu',
+  redo: 'Tehty uudelleen'
+};
+
+/**
+ * Replays of finished games: the list in the menu and the viewer that
+ * takes over the game screen, animating each recorded step.
+ */
+export class ReplayViewer {
+  constructor(gameController, games) {
+    this.gc = gameController;
+    this.names = Object.fromEntries(games.map(g => [g.id, g.name]));
+    this.replay = null;
+    this.active = false;
+    this.playing = false;
+    this.speed = 1;
+    this._timer = null;
+    this._returnGame = null;
+
+    this.listModal = document.getElementById('replays-modal');
+    this.listEl = document.getElementById('replays-list');
+    document.getElementById('replays-close').addEventListener('click', () => this.closeList());
+    this.listModal.addEventListener('click', (e) => {
+      if (e.target === this.listModal) this.closeList();
+    });
+
+    this.titleEl = document.getElementById('replay-title');
+    this.posEl = document.getElementById('replay-pos');
+    this.btnStart = document.getElementById('replay-start');
+    this.btnBack = document.getElementById('replay-back');
+    this.btnPlay = document.getElementById('replay-play');
+    this.btnStep = document.getElementById('replay-step');
+    this.speedSelect = document.getElementById('replay-speed');
+
+    this.btnStart.addEventListener('click', () => this.toStart());
+    this.btnBack.addEventListener('click', () => { this.pause(); this.stepBack(); });
+    this.btnPlay.addEventListener('click', () => (this.playing ? this.pause() : this.play()));
+    this.btnStep.addEventListener('click', () => { this.pause(); this.stepForward(); });
+    this.speedSelect.addEventListener('change', () => { this.speed = Number(this.speedSelect.value); });
+    document.getElementById('replay-close').addEventListener('click', () => this.close());
+  }
+
+  openList() {
+    const items = this.gc.replays.list();
+    this.listEl.innerHTML = '';
+    if (items.length === 0) {
+      this.listEl.innerHTML = '<li class="stats-empty">Ei tallennettuja pelejä</li>';
+    }
+    for (const item of items) {
+      const li = document.createElement('li');
+      const date = new Date(item.date).toLocaleDateString('fi-FI');
+      const deal = item.dealNumber != null ? ` #${item.dealNumber}` : '';
+      const result = item.won ? '<b class="stats-won">Voitto</b>' : 'Tappio';
+      li.innerHTML = `<span>${this.names[item.gameId] || item.gameId}${deal} — ${result}, ${formatTime(item.time)}, ${item.moves} siirtoa, ${date}</span>`;
+      const btn = document.createElement('button');
+      btn.className = 'modal-btn';
+      btn.textContent = 'Katso';
+      btn.addEventListener('click', () => this.start(item));
+      li.appendChild(btn);
+      this.listEl.appendChild(li);
+    }
+    this.listModal.style.display = 'flex';
+  }
+
+  closeList() {
+    this.listModal.style.display = 'none';
+  }
+
+  async start(item) {
+    this.closeList();
+    const game = createGame(item.gameId, item.dealNumber, item.options || {});
+    this.replay = new Replay(game, item.log);
+    this._returnGame = this.gc.game;
+    this.active = true;
+    this.titleEl.textContent = `${this.names[item.gameId] || item.gameId}${item.dealNumber != null ? ` #${item.dealNumber}` : ''}`;
+
+    this.gc.hud.stopTimer();
+    this.gc.game = game;
+    this.gc.gameScreen.classList.add('replaying');
+    this.gc.menuScreen.style.display = 'none';
+    this.gc.gameScreen.style.display = 'flex';
+    await new Promise(r => requestAnimationFrame(r));
+    await this.gc._forceLayout();
+    this._update();
+  }
+
+  async close() {
+    this.pause();
+    this.active = false;
+    this.replay = null;
+    this.gc.gameScreen.classList.remove('replaying');
+    this.gc.game = this._returnGame;
+    this._returnGame = null;
+    // Put the interrupted game's layout back before leaving
+    if (this.gc.game) await this.gc._forceLayout();
+    this.gc.showMenu();
+  }
+
+  play() {
+    if (!this.replay) return;
+    if (!this.replay.canStepForward()) this.toStart();
+    this.playing = true;
+    this._update();
+    this._scheduleStep();
+  }
+
+  pause() {
+    this.playing = false;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._update();
+  }
+
+  _scheduleStep() {
+    this._timer = setTimeout(() => {
+      if (!this.playing) return;
+      if (!this.stepForward()) {
+        this.pause();
+        return;
+      }
+      this._scheduleStep();
+    }, BASE_STEP_MS / this.speed);
+  }
+
+  stepForward() {
+    return this._step(() => this.replay.stepForward());
+  }
+
+  stepBack() {
+    return this._step(() => this.replay.stepBack());
+  }
+
+  toStart() {
+    this.pause();
+    while (this.replay.stepBack()) { /* rewind */ }
+    this.gc.renderer.markDirty();
+    this.gc.requestRender();
+    this._update();
+  }
+
+  _step(apply) {
+    if (!this.replay) return false;
+    const before = this.gc._cardPositions();
+    const entry = apply();
+    if (!entry) return false;
+    this.gc.renderer.markDirty();
+    this.gc._animateChangedCards(before);
+    this._update(entry);
+    return true;
+  }
+
+  _update(entry) {
+    const replay = this.replay;
+    if (!replay) return;
+    const label = entry ? ` · ${ENTRY_LABELS[entry.type] || entry.type}` : '';
+    this.posEl.textContent = `${replay.position}/${replay.length} · ${formatTime(replay.elapsed())}${label}`;
+    this.btnPlay.innerHTML = this.playing ? '&#x23F8;' : '&#x25B6;';
+    this.btnStart.disabled = !replay.canStepBack();
+    this.btnBack.disabled = !replay.canStepBack();
+    this.btnStep.disabled = !replay.canStepForward();
+  }
+}
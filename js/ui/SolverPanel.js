@@ -0,0 +1,180 @@
+import { SolverClient } from '../solver/SolverClient.js';
+
+const STEP_DELAY = 450;
+const MAX_NODES = 200000;
+
+/**
+ * Solver dialog: checks whether the current position can still be won and
+ * plays the solution through the normal tryMove() path, one move at a time.
+ */
+export class SolverPanel {
+  constructor(gameController) {
+    this.gc = gameController;
+    this.client = new SolverClient();
+    // Remaining solution from a given history node: { node, status, moves }
+    this.solution = null;
+    this.playing = false;
+
+    this.modal = document.getElementById('solver-modal');
+    this.statusEl = document.getElementById('solver-status');
+    this.btnCheck = document.getElementById('solver-check');
+    this.btnStep = document.getElementById('solver-step');
+    this.btnPlay = document.getElementById('solver-play');
+
+    this.btnCheck.addEventListener('click', () => this.check());
+    this.btnStep.addEventListener('click', () => this.step());
+    this.btnPlay.addEventListener('click', () => this.play());
+    document.getElementById('solver-close').addEventListener('click', () => this.close());
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) this.close();
+    });
+  }
+
+  isAvailable() {
+    return !!(this.gc.game && this.gc.game.getSolverInput());
+  }
+
+  open() {
+    this.stop();
+    const sol = this._cachedSolution();
+    this._setStatus(sol ? this._describe(sol) : 'Ratkaisija etsii voittavan siirtosarjan nykyisestä asemasta.');
+    this.modal.style.display = 'flex';
+  }
+
+  close() {
+    if (this.client.isBusy()) this.client.cancel();
+    this._setBusy(false);
+    this.modal.style.display = 'none';
+  }
+
+  stop() {
+    this.playing = false;
+    this.gc.hud.update();
+  }
+
+  async check() {
+    const sol = await this._solve();
+    if (sol) this._setStatus(this._describe(sol));
+  }
+
+  async step() {
+    const sol = await this._solve();
+    if (!sol) return;
+    if (sol.status !== 'solved') {
+      this._setStatus(this._describe(sol));
+      return;
+    }
+    this.close();
+    if (!this._playNext()) this.gc.hud.showToast('Ratkaisu ei enää päde');
+  }
+
+  async play() {
+    const sol = await this._solve();
+    if (!sol) return;
+    if (sol.status !== 'solved') {
+      this._setStatus(this._describe(sol));
+      return;
+    }
+    this.close();
+    this.playing = true;
+    this.gc.hud.update();
+    while (this.playing && this.solution && this.solution.moves.length > 0) {
+      if (!this._playNext()) {
+        this.gc.hud.showToast('Ratkaisu keskeytyi');
+        break;
+      }
+      await new Promise(r => setTimeout(r, STEP_DELAY));
+    }
+    this.stop();
+  }
+
+  _cachedSolution() {
+    const node = this.gc.game.state.history.current;
+    return this.solution && this.solution.node === node ? this.solution : null;
+  }
+
+  async _solve() {
+    const cached = this._cachedSolution();
+    if (cached) return cached;
+
+    const game = this.gc.game;
+    const node = game.state.history.current;
+    const input = game.getSolverInput();
+    if (!input) return null;
+
+    this._setStatus('Etsitään ratkaisua…');
+    this._setBusy(true);
+    let result;
+    try {
+      result = await this.client.solve(input.kind, input.position, { maxNodes: MAX_NODES });
+    } catch (e) {
+      return null; // cancelled or the worker failed
+    } finally {
+      this._setBusy(false);
+    }
+
+    // The board may have changed while the worker was searching
+    if (this.gc.game !== game || game.state.history.current !== node) return null;
+    this.solution = { node, status: result.status, moves: result.moves };
+    return this.solution;
+  }
+
+  /**
+   * Play the first remaining solution move. Returns false if it no longer
+   * applies (the player moved in between).
+   */
+  _playNext() {
+    const sol = this._cachedSolution();
+    if (!sol || sol.moves.length === 0) return false;
+    if (!this._applyMove(sol.moves[0])) {
+      this.solution = null;
+      return false;
+    }
+    this.solution = {
+      node: this.gc.game.state.history.current,
+      status: sol.status,
+      moves: sol.moves.slice(1)
+    };
+    return true;
+  }
+
+  _applyMove(move) {
+    const game = this.gc.game;
+    const state = game.state;
+    if (move.from === 'stock') {
+      const node = state.history.current;
+      this.gc.onStockClick();
+      return state.history.current !== node;
+    }
+    const from = move.from === 'foundation'
+      ? state.getPilesByType('foundation').find(p => p.topCard() && p.topCard().suit === move.suit)
+      : state.getPile(move.from);
+    if (!from || from.cards.length < move.count) return false;
+
+    const cards = from.cards.slice(from.cards.length - move.count);
+    const to = move.to === 'foundation'
+      ? game.findAutoMoveToFoundation(cards[0])
+      : state.getPile(move.to);
+    return !!to && this.gc.tryMove(cards, from, to);
+  }
+
+  _describe(sol) {
+    if (sol.status === 'solved') {
+      return `Asema on ratkaistavissa: ratkaisussa on ${sol.moves.length} siirtoa.`;
+    }
+    if (sol.status === 'unsolvable') {
+      return 'Tätä asemaa ei voi enää ratkaista. Kokeile kumota siirtoja.';
+    }
+    return 'Ratkaisua ei löytynyt aikarajan sisällä. Asema voi silti olla ratkaistavissa.';
+  }
+
+  _setStatus(text) {
+    this.statusEl.textContent = text;
+  }
+
+  _setBusy(busy) {
+    this.btnCheck.disabled = busy;
+    this.btnStep.disabled = busy;
+    this.btnPlay.disabled = busy;
+  }
+}
@@ -0,0 +1,77 @@
+import { formatTime } from './format.js';
+
+/**
+ * Statistics dialog in the menu: records and recent games per variant,
+ * with a reset for the selected variant.
+ */
+export class StatsPanel {
+  constructor(gameController, games) {
+    this.gc = gameController;
+    this.modal = document.getElementById('stats-modal');
+    this.select = document.getElementById('stats-game');
+    this.summaryEl = document.getElementById('stats-summary');
+    this.recentEl = document.getElementById('stats-recent');
+
+    for (const game of games) {
+      const option = document.createElement('option');
+      option.value = game.id;
+      option.textContent = game.name;
+      this.select.appendChild(option);
+    }
+
+    this.select.addEventListener('change', () => this.render());
+    document.getElementById('stats-reset').addEventListener('click', () => this.reset());
+    document.getElementById('stats-close').addEventListener('click', () => this.close());
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) this.close();
+    });
+  }
+
+  open() {
+    if (this.gc.currentGameId) this.select.value = this.gc.currentGameId;
+    this.render();
+    this.modal.style.display = 'flex';
+  }
+
+  close() {
+    this.modal.style.display = 'none';
+  }
+
+  reset() {
+    const name = this.select.options[this.select.selectedIndex].textContent;
+    if (!confirm(`Nollataanko pelin ${name} tilastot?`)) return;
+    this.gc.stats.reset(this.select.value);
+    this.render();
+  }
+
+  render() {
+    const stats = this.gc.stats;
+    const gameId = this.select.value;
+    const entry = stats.get(gameId);
+    const rate = stats.winRate(gameId);
+
+    const rows = [
+      ['Pelattu', entry.played],
+      ['Voitettu', entry.won],
+      ['Voittoprosentti', rate == null ? '–' : `${rate} %`],
+      ['Nykyinen voittoputki', entry.currentStreak],
+      ['Pisin voittoputki', entry.longestStreak],
+      ['Paras aika', entry.bestTime == null ? '–' : formatTime(entry.bestTime)],
+      ['Vähiten siirtoja', entry.fewestMoves == null ? '–' : entry.fewestMoves]
+    ];
+    this.summaryEl.innerHTML = rows
+      .map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`)
+      .join('');
+
+    if (entry.recent.length === 0) {
+      this.recentEl.innerHTML = '<li class="stats-empty">Ei vielä pelattuja pelejä</li>';
+      return;
+    }
+    this.recentEl.innerHTML = entry.recent.map(game => {
+      const date = new Date(game.date).toLocaleDateString('fi-FI');
+      const deal = game.dealNumber != null ? ` #${game.dealNumber}` : '';
+      const result = game.won ? '<b class="stats-won">Voitto</b>' : 'Tappio';
+      return `<li>${date}${deal} — ${result}, ${formatTime(game.time)}, ${game.moves} siirtoa</li>`;
+    }).join('');
+  }
+}
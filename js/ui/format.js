@@ -0,0 +1,11 @@
+/**
+ * Elapsed time as m:ss (or h:mm:ss for very long games).
+ */
+export function formatTime(ms) {
+  const total = Math.floor(ms / 1000);
+  const hours = Math.floor(total / 3600);
+  const min = Math.floor(total / 60) % 60;
+  const sec = (total % 60).toString().padStart(2, '0');
+  if (hours > 0) return `${hours}:${min.toString().padStart(2, '0')}:${sec}`;
+  return `${min}:${sec}`;
+}
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'pasianssi-v34';
+const CACHE_NAME = 'pasianssi-v35';
 
 const ASSETS = [
   './',
@@ -7,18 +7,51 @@ const ASSETS = [
   './js/main.js',
   './js/engine/Card.js',
   './js/engine/Deck.js',
+  './js/engine/Random.js',
   './js/engine/Pile.js',
   './js/engine/GameState.js',
+  './js/engine/History.js',
+  './js/engine/Replay.js',
+  './js/engine/SaveSchema.js',
   './js/rules/BaseGame.js',
   './js/rules/KlondikeGame.js',
   './js/rules/SpiderGame.js',
   './js/rules/FreeCellGame.js',
+  './js/rules/YukonGame.js',
+  './js/rules/PyramidGame.js',
+  './js/rules/ChainGame.js',
+  './js/rules/TriPeaksGame.js',
+  './js/rules/GolfGame.js',
+  './js/rules/FortyThievesGame.js',
+  './js/rules/DoubleKlondikeGame.js',
+  './js/rules/CanfieldGame.js',
   './js/rules/GameRegistry.js',
+  './js/rules/Hint.js',
+  './js/rules/Notation.js',
   './js/render/CardRenderer.js',
   './js/render/BoardRenderer.js',
   './js/render/AnimationManager.js',
   './js/input/InputManager.js',
+  './js/solver/common.js',
+  './js/solver/FreeCellSolver.js',
+  './js/solver/KlondikeSolver.js',
+  './js/solver/SolverClient.js',
+  './js/solver/solve.js',
+  './js/solver/solverWorker.js',
+  './js/stats/Statistics.js',
+  './js/stats/Bankroll.js',
+  './js/stats/DailyChallenge.js',
+  './js/stats/Replays.js',
+  './js/stats/Storage.js',
+  './js/stats/TabLock.js',
+  './js/stats/Backup.js',
   './js/ui/HUD.js',
+  './js/ui/SolverPanel.js',
+  './js/ui/StatsPanel.js',
+  './js/ui/DailyPanel.js',
+  './js/ui/ReplayViewer.js',
+  './js/ui/BackupPanel.js',
+  './js/ui/format.js',
   './icons/icon-192.png',
   './icons/icon-512.png'
 ];